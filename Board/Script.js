@@ -1,21 +1,47 @@
 /** @typedef {import("../Scripts/Components/Entity.js").EntityEventMap} EntityEventMap */
+/** @typedef {import("../Scripts/Structure.js").GraphPaths} GraphPaths */
+/** @typedef {import("../Scripts/Structure.js").GraphTraceEvent} GraphTraceEvent */
+/** @typedef {import("../Scripts/Structure.js").DrawingNotation} DrawingNotation */
+/** @typedef {import("../Scripts/Structure.js").MemoryNotation} MemoryNotation */
+/** @typedef {import("../Scripts/Structure.js").ColoringOptions} ColoringOptions */
+/** @typedef {import("../Scripts/Structure.js").ColoringOrder} ColoringOrder */
+/** @typedef {import("../Scripts/Structure.js").VertexColoring} VertexColoring */
+/** @typedef {import("../Scripts/Layouts.js").GraphPlacement} GraphPlacement */
 
 "use strict";
 
 import { Entity } from "../Scripts/Components/Entity.js";
+import { formats } from "../Scripts/Formats.js";
+import { generators } from "../Scripts/Generators.js";
+import { layouts } from "../Scripts/Layouts.js";
 import { userInterface } from "../Scripts/Components/InterfaceItem.js";
-import { canvas, context, progenitor } from "../Scripts/Components/Node.js";
-import { DataPair, StrictMap } from "../Scripts/Modules/Extensions.js";
+import { camera, canvas, context, progenitor } from "../Scripts/Components/Node.js";
+import { Animator } from "../Scripts/Components/Utilities.js";
+import { DataPair, Stack, StrictMap } from "../Scripts/Modules/Extensions.js";
+import { Random } from "../Scripts/Modules/Generators.js";
 import { Point2D } from "../Scripts/Modules/Measures.js";
 import { Color } from "../Scripts/Modules/Palette.js";
-import { Graph } from "../Scripts/Structure.js";
+import { ArchiveManager } from "../Scripts/Modules/Storage.js";
+import { Drawing, Graph, Memory } from "../Scripts/Structure.js";
 
-const { min, abs, hypot, atan2, PI, sqrt, toFactor, sin } = Math;
+const { min, max, abs, hypot, atan2, PI, sqrt, toFactor, sin, cos, between, round } = Math;
+
+/** 
+ * @type {ArchiveManager<DrawingNotation, Drawing>} 
+ */
+const managerBoard = await ArchiveManager.construct(`${navigator.getDataPath()}.Board`, Drawing);
+const graphArchived = managerBoard.data.graph;
+const counterArchived = managerBoard.data.counter;
+/** 
+ * @type {ArchiveManager<MemoryNotation, Memory>} 
+ */
+const managerTextbox = await ArchiveManager.construct(`${navigator.getDataPath()}.Textbox`, Memory);
 
 /** 
  * @type {Graph}
  */
 const graph = new Graph();
+managerBoard.data.graph = graph;
 const colorBackground = await window.ensure(() => {
 	return Color.tryParse(getComputedStyle(document.body).getPropertyValue(`--color-background`)) ?? (() => {
 		throw new EvalError(`Unable to parse background color`);
@@ -25,8 +51,59 @@ const colorBackground = await window.ensure(() => {
 //#region Definition
 const inputVertexTool = await window.ensure(() => document.getElement(HTMLInputElement, `input#vertex-tool`));
 const inputEdgeTool = await window.ensure(() => document.getElement(HTMLInputElement, `input#edge-tool`));
+const inputDirectedGraph = await window.ensure(() => document.getElement(HTMLInputElement, `input#directed-graph`));
 const inputExecuteProgram = await window.ensure(() => document.getElement(HTMLInputElement, `input#execute-program`));
+const selectProgramMode = await window.ensure(() => document.getElement(HTMLSelectElement, `select#program-mode`));
+const buttonOpenGenerator = await window.ensure(() => document.getElement(HTMLButtonElement, `button#open-generator`));
+const dialogGenerator = await window.ensure(() => document.getElement(HTMLDialogElement, `dialog.generator`));
+const selectGeneratorMode = await window.ensure(() => document.getElement(HTMLSelectElement, `select#generator-mode`));
+const divGeneratorParameters = await window.ensure(() => document.getElement(HTMLDivElement, `dialog.generator div.parameters`));
+const inputGeneratorSeed = await window.ensure(() => document.getElement(HTMLInputElement, `input#generator-seed`));
+const buttonSpawnGraph = await window.ensure(() => document.getElement(HTMLButtonElement, `button#spawn-graph`));
+const buttonCloseGenerator = await window.ensure(() => document.getElement(HTMLButtonElement, `button#close-generator`));
+const selectExportFormat = await window.ensure(() => document.getElement(HTMLSelectElement, `select#export-format`));
+const buttonExportGraph = await window.ensure(() => document.getElement(HTMLButtonElement, `button#export-graph`));
+const selectLayoutMode = await window.ensure(() => document.getElement(HTMLSelectElement, `select#layout-mode`));
+const buttonApplyLayout = await window.ensure(() => document.getElement(HTMLButtonElement, `button#apply-layout`));
 const buttonCaptureCanvas = await window.ensure(() => document.getElement(HTMLButtonElement, `button#capture-canvas`));
+const buttonCaptureVector = await window.ensure(() => document.getElement(HTMLButtonElement, `button#capture-vector`));
+const buttonCaptureTypeset = await window.ensure(() => document.getElement(HTMLButtonElement, `button#capture-typeset`));
+const buttonUndoEdit = await window.ensure(() => document.getElement(HTMLButtonElement, `button#undo-edit`));
+const buttonRedoEdit = await window.ensure(() => document.getElement(HTMLButtonElement, `button#redo-edit`));
+const buttonFitView = await window.ensure(() => document.getElement(HTMLButtonElement, `button#fit-view`));
+const inputRelaxLayout = await window.ensure(() => document.getElement(HTMLInputElement, `input#relax-layout`));
+const buttonPinSelection = await window.ensure(() => document.getElement(HTMLButtonElement, `button#pin-selection`));
+const divTimeline = await window.ensure(() => document.getElement(HTMLDivElement, `div.timeline`));
+const buttonTraceBack = await window.ensure(() => document.getElement(HTMLButtonElement, `button#trace-back`));
+const inputTracePlaying = await window.ensure(() => document.getElement(HTMLInputElement, `input#trace-playing`));
+const buttonTraceStep = await window.ensure(() => document.getElement(HTMLButtonElement, `button#trace-step`));
+const inputTraceScrubber = await window.ensure(() => document.getElement(HTMLInputElement, `input#trace-scrubber`));
+
+/** @type {boolean} */
+let isShiftHeld = false;
+window.addEventListener(`keydown`, (event) => {
+	isShiftHeld = event.shiftKey;
+});
+window.addEventListener(`keyup`, (event) => {
+	isShiftHeld = event.shiftKey;
+});
+window.addEventListener(`blur`, (event) => {
+	isShiftHeld = false;
+});
+
+/**
+ * Tells whether the key press is meant for a text field or an open dialog rather than for the board.
+ * @param {KeyboardEvent} event 
+ * @returns {boolean}
+ */
+function isKeyOutsideBoard(event) {
+	const target = event.target;
+	// The tools are checkboxes and radios that keep the focus after a click, so they don't count as fields.
+	if (target instanceof HTMLInputElement && target.type !== `checkbox` && target.type !== `radio`) return true;
+	if (target instanceof HTMLTextAreaElement || target instanceof HTMLSelectElement) return true;
+	if (target instanceof HTMLElement && target.isContentEditable) return true;
+	return document.querySelector(`dialog[open]`) !== null;
+}
 //#endregion
 //#region Member entity
 /**
@@ -115,6 +192,89 @@ class MemberEntity extends Entity {
 	static markHighlighting(palette) {
 		throw new ReferenceError(`Not implemented function`);
 	}
+	/**
+	 * @param {string} text 
+	 * @param {Readonly<Point2D>} point 
+	 * @param {number} size 
+	 * @param {Color} color 
+	 * @returns {void}
+	 */
+	static inscribe(text, point, size, color = MemberEntity.colorInitial) {
+		context.save();
+		context.translate(point.x, point.y);
+		context.scale(1, -1);
+		context.font = `bold ${size}px system-ui, sans-serif`;
+		context.textAlign = `center`;
+		context.textBaseline = `middle`;
+		context.lineJoin = `round`;
+		context.lineWidth = size / 4;
+		context.strokeStyle = colorBackground.toString(true);
+		context.strokeText(text, 0, 0);
+		context.fillStyle = color.toString(true);
+		context.fillText(text, 0, 0);
+		context.restore();
+	}
+	/**
+	 * @param {Readonly<Point2D>} point 
+	 * @returns {string}
+	 */
+	static locate(point) {
+		return `${point.x} ${-point.y}`;
+	}
+	/**
+	 * @param {string} text 
+	 * @param {Readonly<Point2D>} point 
+	 * @param {number} size 
+	 * @param {Color} color 
+	 * @returns {string}
+	 */
+	static depictInscription(text, point, size, color = MemberEntity.colorInitial) {
+		const escaped = text.replace(/[&<>"']/g, symbol => `&#${symbol.charCodeAt(0)};`);
+		return `<text x="${point.x}" y="${-point.y}" font-family="system-ui, sans-serif" font-weight="bold" font-size="${size}" text-anchor="middle" dominant-baseline="middle" paint-order="stroke" stroke="${colorBackground.toString(true)}" stroke-width="${size / 4}" stroke-linejoin="round" fill="${color.toString(true)}">${escaped}</text>`;
+	}
+	/**
+	 * Converts the length in pixels to centimeters, so that the vertex radius takes 3 millimeters on paper.
+	 * @param {number} length 
+	 * @returns {number}
+	 */
+	static measure(length) {
+		return Number((length / VertexEntity.radius * 0.3).toFixed(3));
+	}
+	/**
+	 * @param {Readonly<Point2D>} point 
+	 * @returns {string}
+	 */
+	static place(point) {
+		return `(${MemberEntity.measure(point.x)}, ${MemberEntity.measure(point.y)})`;
+	}
+	/**
+	 * Describes the color in xcolor notation, printing the initial color of the board in black for paper.
+	 * @param {Color} color 
+	 * @returns {string}
+	 */
+	static tint(color) {
+		const { red, green, blue } = (color.toString() === MemberEntity.colorInitial.toString() ? Color.viaRGB(0, 0, 0) : color);
+		const opacity = (color.alpha < 1 ? `, opacity=${Number(color.alpha.toFixed(3))}` : ``);
+		return `{rgb,255:red,${round(red)};green,${round(green)};blue,${round(blue)}}${opacity}`;
+	}
+	/**
+	 * @param {string} text 
+	 * @param {Readonly<Point2D>} point 
+	 * @param {Color} color 
+	 * @param {boolean} backed 
+	 * @returns {string}
+	 */
+	static typesetInscription(text, point, color = MemberEntity.colorInitial, backed = false) {
+		const escaped = text.replace(/[\\{}$&#^_%~]/g, symbol => {
+			switch (symbol) {
+				case `\\`: return `\\textbackslash{}`;
+				case `^`: return `\\textasciicircum{}`;
+				case `~`: return `\\textasciitilde{}`;
+				default: return `\\${symbol}`;
+			}
+		});
+		return `\\node[text=${MemberEntity.tint(color)}, font=\\bfseries\\footnotesize${backed ? `, fill=white, inner sep=1pt` : ``}] at ${MemberEntity.place(point)} {${escaped}};`;
+	}
 	static {
 		progenitor.addEventListener(`update`, () => {
 			const gradientShine = context.createLinearGradient(-canvas.width / 2, -canvas.height / 2, canvas.width / 2, canvas.height / 2);
@@ -128,6 +288,22 @@ class MemberEntity extends Entity {
 			MemberEntity.#gradientShine = gradientShine;
 		});
 	}
+	/**
+	 * Describes the member as SVG elements in the world coordinates, with the y-axis turned down.
+	 * @abstract
+	 * @returns {string[]}
+	 */
+	depict() {
+		throw new ReferenceError(`Not implemented function`);
+	}
+	/**
+	 * Describes the member as TikZ commands in centimeters.
+	 * @abstract
+	 * @returns {string[]}
+	 */
+	typeset() {
+		throw new ReferenceError(`Not implemented function`);
+	}
 	/**
 	 * @template {keyof MemberEntityEventMap} K
 	 * @param {K} type 
@@ -171,16 +347,17 @@ class VertexEntity extends MemberEntity {
 	static markHighlighting(palette) {
 		for (const [index, vertex] of VertexEntity.#members) {
 			const { x, y } = vertex.position;
-			/** @type {[number, Color][]} */
-			const rules = [];
+			/** @type {Map<number, HighlightRule>} */
+			const rulesByNeighbor = new Map();
 			for (const [graph, color] of palette) {
 				if (!graph.vertices.has(index)) continue;
 				for (const indexNeighbor of graph.getNeighborsOf(index)) {
 					const pointNeighborPosition = VertexEntity.#members.get(indexNeighbor).position;
 					const angle = atan2(y - pointNeighborPosition.y, x - pointNeighborPosition.x) + PI;
-					rules.push([angle, color]);
+					rulesByNeighbor.set(indexNeighbor, [angle, color]);
 				}
 			}
+			const rules = Array.from(rulesByNeighbor.values());
 			/**
 			 * @todo Get self together, then refactor this shit.
 			 */
@@ -212,8 +389,121 @@ class VertexEntity extends MemberEntity {
 			}
 		}
 	}
+	/**
+	 * @param {Set<number>} indices 
+	 * @returns {void}
+	 */
+	static markRings(indices) {
+		for (const [index, vertex] of VertexEntity.#members) {
+			vertex.#ringed = indices.has(index);
+		}
+	}
+	/**
+	 * @param {Map<number, string>} annotations 
+	 * @returns {void}
+	 */
+	static markAnnotations(annotations) {
+		for (const [index, vertex] of VertexEntity.#members) {
+			vertex.#annotation = annotations.get(index) ?? null;
+		}
+	}
+	/**
+	 * @param {Map<number, Color>} fills 
+	 * @returns {void}
+	 */
+	static markFills(fills) {
+		for (const [index, vertex] of VertexEntity.#members) {
+			vertex.#fill = fills.get(index) ?? null;
+		}
+	}
+	/** @type {Set<number>} */
+	static #selection = new Set();
+	/**
+	 * @returns {Set<number>}
+	 */
+	static get selection() {
+		return new Set(VertexEntity.#selection);
+	}
+	/**
+	 * @param {Set<number>} value 
+	 * @returns {void}
+	 */
+	static set selection(value) {
+		VertexEntity.#selection = new Set(Array.from(value).filter(index => VertexEntity.#members.has(index)));
+	}
+	/** @type {Set<number>} */
+	static #pins = new Set();
+	/**
+	 * @returns {Set<number>}
+	 */
+	static get pins() {
+		return new Set(VertexEntity.#pins);
+	}
+	/**
+	 * @param {Set<number>} value 
+	 * @returns {void}
+	 */
+	static set pins(value) {
+		VertexEntity.#pins = new Set(Array.from(value).filter(index => VertexEntity.#members.has(index)));
+	}
+	/**
+	 * @param {Readonly<Point2D>} begin 
+	 * @param {Readonly<Point2D>} end 
+	 * @returns {Set<number>}
+	 */
+	static getIndicesWithin(begin, end) {
+		/** @type {Set<number>} */
+		const indices = new Set();
+		for (const [index, vertex] of VertexEntity.#members) {
+			const { x, y } = vertex.position;
+			if (between(x, min(begin.x, end.x), max(begin.x, end.x)) && between(y, min(begin.y, end.y), max(begin.y, end.y))) indices.add(index);
+		}
+		return indices;
+	}
+	/**
+	 * @param {number} index1 
+	 * @param {number} index2 
+	 * @returns {number}
+	 */
+	static getDistanceBetween(index1, index2) {
+		return VertexEntity.#members.get(index1).getDistanceFrom(VertexEntity.#members.get(index2));
+	}
+	/**
+	 * @param {number} index 
+	 * @returns {VertexEntity}
+	 * @throws {ReferenceError}
+	 */
+	static getMemberBy(index) {
+		return VertexEntity.#members.get(index);
+	}
+	/**
+	 * @returns {string[]}
+	 */
+	static depictMembers() {
+		return Array.from(VertexEntity.#members.values()).flatMap(vertex => vertex.depict());
+	}
+	/**
+	 * @returns {string[]}
+	 */
+	static typesetMembers() {
+		return Array.from(VertexEntity.#members.values()).flatMap(vertex => vertex.typeset());
+	}
 	/** @type {number} */
 	static #counter = 0;
+	/**
+	 * @returns {number}
+	 */
+	static get counter() {
+		return VertexEntity.#counter;
+	}
+	/**
+	 * @param {number} value 
+	 * @returns {void}
+	 */
+	static set counter(value) {
+		VertexEntity.#counter = value;
+		managerBoard.data.counter = value;
+	}
 	/** @type {StrictMap<number, VertexEntity>} */
 	static #members = new StrictMap();
 	/** @type {number} */
@@ -227,12 +517,12 @@ class VertexEntity extends MemberEntity {
 	}
 	/**
 	 * @param {Readonly<Point2D>} point 
-	 * @param {VertexEntity?} exception 
+	 * @param {Set<VertexEntity>} exceptions 
 	 * @returns {boolean}
 	 */
-	static #canPlaceAt(point, exception = null) {
+	static #canPlaceAt(point, exceptions = new Set()) {
 		for (const [, vertex] of VertexEntity.#members) {
-			if (vertex === exception) continue;
+			if (exceptions.has(vertex)) continue;
 			if (point.getDistanceFrom(vertex.position) < VertexEntity.#radius * 2) return false;
 		}
 		return true;
@@ -252,10 +542,29 @@ class VertexEntity extends MemberEntity {
 	static #locked = true;
 	/**
 	 * @param {Readonly<Point2D>} point 
-	 * @returns {void}
+	 * @returns {VertexEntity?}
 	 */
 	static tryAttachAt(point) {
-		if (!VertexEntity.#canPlaceAt(point)) return;
+		if (!VertexEntity.#canPlaceAt(point)) return null;
+		return VertexEntity.#attachAt(point);
+	}
+	/**
+	 * @param {number} index 
+	 * @param {Readonly<Point2D>} point 
+	 * @returns {VertexEntity}
+	 */
+	static restoreAt(index, point) {
+		const counter = VertexEntity.#counter;
+		VertexEntity.#counter = index;
+		const vertex = VertexEntity.#attachAt(point);
+		VertexEntity.counter = max(counter, index + 1);
+		return vertex;
+	}
+	/**
+	 * @param {Readonly<Point2D>} point 
+	 * @returns {VertexEntity}
+	 */
+	static #attachAt(point) {
 		VertexEntity.#locked = false;
 		const vertex = new VertexEntity();
 		VertexEntity.#locked = true;
@@ -263,6 +572,7 @@ class VertexEntity extends MemberEntity {
 		vertex.position = point;
 		vertex.#gradientShadow = vertex.#createShadowGradient(context);
 		vertex.dispatchEvent(new Event(`attach`));
+		return vertex;
 	}
 	static {
 		VertexEntity.#radius = min(canvas.width, canvas.height) / 64;
@@ -282,9 +592,13 @@ class VertexEntity extends MemberEntity {
 			this.#index = VertexEntity.#counter++;
 			VertexEntity.#members.set(this.#index, this);
 			graph.addVertex(this.#index);
+			this.#storePosition();
+			managerBoard.data.counter = VertexEntity.#counter;
 		});
 		this.addEventListener(`detach`, (event) => {
 			graph.removeVertex(this.#index);
+			VertexEntity.#selection.delete(this.#index);
+			VertexEntity.#pins.delete(this.#index);
 			VertexEntity.#members.delete(this.#index);
 			this.#index = NaN;
 		});
@@ -299,26 +613,45 @@ class VertexEntity extends MemberEntity {
 		this.addEventListener(`render`, () => {
 			context.save();
 			let previous = 0;
-			for (const [angle, color] of this.#sectors) {
+			for (const [angle, color] of this.#getSectors()) {
 				context.globalCompositeOperation = `source-over`;
 				this.#fillSector(context, previous, angle, color);
 				MemberEntity.shine();
 				previous = angle;
 			}
+			const { label } = graph.getAttributesOf(this.#index);
 			context.globalCompositeOperation = `destination-over`;
-			this.#fillSector(context, 0, 2 * PI);
+			this.#fillSector(context, 0, 2 * PI, this.#getFillColor());
 			context.restore();
+			if (this.#ringed) {
+				this.#strokeRing(context);
+			}
+			if (VertexEntity.#selection.has(this.#index)) {
+				this.#strokeRing(context, colorHighlight);
+			}
+			if (VertexEntity.#pins.has(this.#index)) {
+				this.#fillPin(context);
+			}
+			if (label !== undefined) {
+				const pointOffset = new Point2D(0, -VertexEntity.#radius * 2);
+				MemberEntity.inscribe(label, this.position["+"](pointOffset), VertexEntity.#radius);
+			}
+			if (this.#annotation !== null) {
+				const pointOffset = Point2D.repeat(VertexEntity.#radius * 1.5);
+				MemberEntity.inscribe(this.#annotation, this.position["+"](pointOffset), VertexEntity.#radius);
+			}
 		});
 		//#endregion
 		//#region Vertex control
 		this.addEventListener(`click`, (event) => {
 			if (inputExecuteProgram.checked || !inputVertexTool.checked) return;
-			for (const edge of this.#connections) {
-				this.#connections.delete(edge);
-				edge.dispatchEvent(new LinkEvent(`unlink`, { vertex: this, edge: edge }));
+			const selection = VertexEntity.selection;
+			if (isShiftHeld) {
+				if (!selection.delete(this.#index)) selection.add(this.#index);
+				VertexEntity.selection = selection;
+				return;
 			}
-			progenitor.children.remove(this);
-			this.dispatchEvent(new Event(`detach`));
+			eraseVertices(new Set([this.#index]));
 		});
 
 		/**
@@ -335,6 +668,12 @@ class VertexEntity extends MemberEntity {
 			EdgeEntity.tryAttachFrom(this);
 		});
 		//#endregion
+		//#region Program control
+		this.addEventListener(`click`, async (event) => await window.ensure(async () => {
+			if (!inputExecuteProgram.checked) return;
+			await pickVertex(this);
+		}));
+		//#endregion
 	}
 	/**
 	 * @template {keyof VertexEntityEventMap} K
@@ -385,6 +724,79 @@ class VertexEntity extends MemberEntity {
 	isMesh(point) {
 		return (point.getDistanceFrom(this.position) <= VertexEntity.#radius);
 	}
+	/**
+	 * Removes the vertex from the board together with its edges.
+	 * @returns {void}
+	 */
+	erase() {
+		for (const edge of this.#connections) {
+			this.#connections.delete(edge);
+			edge.dispatchEvent(new LinkEvent(`unlink`, { vertex: this, edge: edge }));
+		}
+		progenitor.children.remove(this);
+		this.dispatchEvent(new Event(`detach`));
+	}
+	/**
+	 * @param {Readonly<Point2D>} point 
+	 * @returns {void}
+	 */
+	relocate(point) {
+		this.position = point;
+		this.#gradientShadow = this.#createShadowGradient(context);
+		this.#storePosition();
+	}
+	/**
+	 * @returns {string[]}
+	 */
+	depict() {
+		const { label } = graph.getAttributesOf(this.#index);
+		const shapes = [this.#depictSector(0, 2 * PI, this.#getFillColor())];
+		let previous = 0;
+		for (const [angle, color] of this.#getSectors()) {
+			shapes.push(this.#depictSector(previous, angle, color));
+			previous = angle;
+		}
+		if (this.#ringed) {
+			const { x, y } = this.position;
+			shapes.push(`<circle cx="${x}" cy="${-y}" r="${VertexEntity.#radius + EdgeEntity.width}" fill="none" stroke="${MemberEntity.colorInitial.toString(true)}" stroke-width="${EdgeEntity.width / 2}"/>`);
+		}
+		if (label !== undefined) {
+			const pointOffset = new Point2D(0, -VertexEntity.#radius * 2);
+			shapes.push(MemberEntity.depictInscription(label, this.position["+"](pointOffset), VertexEntity.#radius));
+		}
+		if (this.#annotation !== null) {
+			const pointOffset = Point2D.repeat(VertexEntity.#radius * 1.5);
+			shapes.push(MemberEntity.depictInscription(this.#annotation, this.position["+"](pointOffset), VertexEntity.#radius));
+		}
+		return shapes;
+	}
+	/**
+	 * @returns {string[]}
+	 */
+	typeset() {
+		const { label } = graph.getAttributesOf(this.#index);
+		const point = MemberEntity.place(this.position);
+		const radius = MemberEntity.measure(VertexEntity.#radius);
+		const commands = [`\\fill[color=${MemberEntity.tint(this.#getFillColor())}] ${point} circle[radius=${radius}];`];
+		let previous = 0;
+		for (const [angle, color] of this.#getSectors()) {
+			const [begin, end] = [previous, angle].map(angle => Number((angle / PI * 180).toFixed(3)));
+			commands.push(`\\fill[color=${MemberEntity.tint(color)}] ${point} -- +(${begin}:${radius}) arc[start angle=${begin}, end angle=${end}, radius=${radius}] -- cycle;`);
+			previous = angle;
+		}
+		if (this.#ringed) {
+			commands.push(`\\draw[color=${MemberEntity.tint(MemberEntity.colorInitial)}, line width=${MemberEntity.measure(EdgeEntity.width / 2)}cm] ${point} circle[radius=${MemberEntity.measure(VertexEntity.#radius + EdgeEntity.width)}];`);
+		}
+		if (label !== undefined) {
+			const pointOffset = new Point2D(0, -VertexEntity.#radius * 2);
+			commands.push(MemberEntity.typesetInscription(label, this.position["+"](pointOffset)));
+		}
+		if (this.#annotation !== null) {
+			const pointOffset = Point2D.repeat(VertexEntity.#radius * 1.5);
+			commands.push(MemberEntity.typesetInscription(this.#annotation, this.position["+"](pointOffset)));
+		}
+		return commands;
+	}
 	/** @type {number} */
 	#index = NaN;
 	/**
@@ -397,11 +809,11 @@ class VertexEntity extends MemberEntity {
 	/** @type {Set<EdgeEntity>} */
 	#connections = new Set();
 	/**
-	 * @param {Readonly<Point2D>} point 
-	 * @returns {boolean}
+	 * @returns {void}
 	 */
-	#canMoveAt(point) {
-		return VertexEntity.#canPlaceAt(point, this);
+	#storePosition() {
+		const { x, y } = this.position;
+		graph.setAttributesOf(this.#index, { ...graph.getAttributesOf(this.#index), x, y });
 	}
 	/**
 	 * @param {Readonly<Point2D>} position 
@@ -409,19 +821,55 @@ class VertexEntity extends MemberEntity {
 	 */
 	#setMoveState(position) {
 		const controller = new AbortController();
+		// A selected vertex drags the whole selection along, keeping the distances between them.
+		const group = (VertexEntity.#selection.has(this.#index)
+			? Array.from(VertexEntity.#selection, index => VertexEntity.#members.get(index))
+			: [this]
+		);
+		const indices = group.map(vertex => vertex.#index);
+		const pointsBegin = group.map(vertex => vertex.position);
 		this.addEventListener(`drag`, (event) => {
-			this.position = event.position;
+			const pointDelta = event.position["-"](position);
+			for (const [order, vertex] of group.entries()) {
+				vertex.position = pointsBegin[order]["+"](pointDelta);
+			}
 		}, { signal: controller.signal });
 		this.addEventListener(`dragend`, (event) => {
-			if (!this.#canMoveAt(event.position)) {
-				this.position = position;
-				this.#gradientShadow = this.#createShadowGradient(context);
+			const exceptions = new Set(group);
+			const placeable = group.every(vertex => VertexEntity.#canPlaceAt(vertex.position, exceptions));
+			for (const [order, vertex] of group.entries()) {
+				vertex.relocate(placeable ? vertex.position : pointsBegin[order]);
 			}
+			const pointsEnd = group.map(vertex => vertex.position);
+			if (placeable && (pointsEnd[0].x !== pointsBegin[0].x || pointsEnd[0].y !== pointsBegin[0].y)) {
+				CommandHistory.record({
+					execute: () => indices.forEach((index, order) => VertexEntity.getMemberBy(index).relocate(pointsEnd[order])),
+					revert: () => indices.forEach((index, order) => VertexEntity.getMemberBy(index).relocate(pointsBegin[order])),
+				});
+			}
+			synchronizeTextbox();
 			controller.abort();
 		}, { signal: controller.signal });
 	}
 	/** @type {Map<number, Color>} */
 	#sectors = new Map();
+	/** @type {Color?} */
+	#fill = null;
+	/**
+	 * The fill assigned by the program covers the highlighting sectors.
+	 * @returns {Map<number, Color>}
+	 */
+	#getSectors() {
+		return (this.#fill === null ? this.#sectors : new Map());
+	}
+	/**
+	 * Gets the color of the whole disk: the one assigned by the program, else the own one.
+	 * @returns {Color}
+	 */
+	#getFillColor() {
+		const { color } = graph.getAttributesOf(this.#index);
+		return this.#fill ?? (color === undefined ? null : Color.tryParse(color)) ?? MemberEntity.colorInitial;
+	}
 	/**
 	 * @param {CanvasRenderingContext2D} context 
 	 * @param {number} begin 
@@ -438,6 +886,52 @@ class VertexEntity extends MemberEntity {
 		context.fillStyle = color.toString(true);
 		context.fill();
 	}
+	/**
+	 * @param {number} begin 
+	 * @param {number} end 
+	 * @param {Color} color 
+	 * @returns {string}
+	 */
+	#depictSector(begin, end, color) {
+		const { x, y } = this.position;
+		const radius = VertexEntity.#radius;
+		if (end - begin >= 2 * PI) return `<circle cx="${x}" cy="${-y}" r="${radius}" fill="${color.toString(true)}"/>`;
+		const [pointBegin, pointEnd] = [begin, end].map(angle => this.position["+"](new Point2D(cos(angle), sin(angle))["*"](Point2D.repeat(radius))));
+		// The angles grow counterclockwise on the canvas, which stays counterclockwise on screen after the y-axis is turned down.
+		return `<path d="M ${MemberEntity.locate(this.position)} L ${MemberEntity.locate(pointBegin)} A ${radius} ${radius} 0 ${end - begin > PI ? 1 : 0} 0 ${MemberEntity.locate(pointEnd)} Z" fill="${color.toString(true)}"/>`;
+	}
+	/** @type {boolean} */
+	#ringed = false;
+	/** @type {string?} */
+	#annotation = null;
+	/**
+	 * @param {CanvasRenderingContext2D} context 
+	 * @param {Color} color 
+	 * @returns {void}
+	 */
+	#strokeRing(context, color = MemberEntity.colorInitial) {
+		const { x, y } = this.position;
+		context.save();
+		context.beginPath();
+		context.arc(x, y, VertexEntity.#radius + EdgeEntity.width, 0, 2 * PI);
+		context.lineWidth = EdgeEntity.width / 2;
+		context.strokeStyle = color.toString(true);
+		context.stroke();
+		context.restore();
+	}
+	/**
+	 * @param {CanvasRenderingContext2D} context 
+	 * @returns {void}
+	 */
+	#fillPin(context) {
+		const { x, y } = this.position;
+		context.save();
+		context.beginPath();
+		context.arc(x, y, VertexEntity.#radius / 4, 0, 2 * PI);
+		context.fillStyle = colorBackground.toString(true);
+		context.fill();
+		context.restore();
+	}
 	/**
 	 * @param {CanvasRenderingContext2D} context
 	 * @returns {CanvasGradient}
@@ -485,16 +979,72 @@ class EdgeEntity extends MemberEntity {
 	 */
 	static markHighlighting(palette) {
 		for (const edge of EdgeEntity.#members) {
+			const from = edge.#socketFrom.ensured.index;
+			const to = edge.#socketTo.ensured.index;
 			for (const [graph, color] of palette) {
 				const vertices = graph.vertices;
-				if (vertices.has(edge.#socketFrom.ensured.index) && vertices.has(edge.#socketTo.ensured.index)) {
+				if (vertices.has(from) && vertices.has(to) && graph.hasEdge(from, to)) {
 					edge.#color = color;
 				}
 			}
 		}
 	}
+	/**
+	 * @param {[number, number][]} bridges 
+	 * @returns {void}
+	 */
+	static markBridges(bridges) {
+		for (const edge of EdgeEntity.#members) {
+			const from = edge.#socketFrom.ensured.index;
+			const to = edge.#socketTo.ensured.index;
+			edge.#bridged = bridges.some(([index1, index2]) => (index1 === from && index2 === to) || (index1 === to && index2 === from));
+		}
+	}
+	/**
+	 * @param {[number, number][]} edges 
+	 * @returns {void}
+	 */
+	static markBackEdges(edges) {
+		for (const edge of EdgeEntity.#members) {
+			const from = edge.#socketFrom.ensured.index;
+			const to = edge.#socketTo.ensured.index;
+			edge.#backward = edges.some(([index1, index2]) => (index1 === from && index2 === to) || (index1 === to && index2 === from));
+		}
+	}
 	/** @type {Set<EdgeEntity>} */
 	static #members = new Set();
+	/**
+	 * @readonly
+	 * @returns {number}
+	 */
+	static get count() {
+		return EdgeEntity.#members.size;
+	}
+	/**
+	 * @returns {string[]}
+	 */
+	static depictMembers() {
+		return Array.from(EdgeEntity.#members).flatMap(edge => edge.depict());
+	}
+	/**
+	 * @param {number} from 
+	 * @param {number} to 
+	 * @returns {EdgeEntity}
+	 * @throws {ReferenceError}
+	 */
+	static getMemberBetween(from, to) {
+		for (const edge of EdgeEntity.#members) {
+			const [index1, index2] = [edge.#socketFrom.ensured.index, edge.#socketTo.ensured.index];
+			if ((index1 === from && index2 === to) || (!graph.directed && index1 === to && index2 === from)) return edge;
+		}
+		throw new ReferenceError(`Unable to find edge between ${from} and ${to}`);
+	}
+	/**
+	 * @returns {string[]}
+	 */
+	static typesetMembers() {
+		return Array.from(EdgeEntity.#members).flatMap(edge => edge.typeset());
+	}
 	/** @type {boolean} */
 	static #locked = true;
 	/**
@@ -526,11 +1076,34 @@ class EdgeEntity extends MemberEntity {
 			progenitor.children.remove(edge);
 			vertex.dispatchEvent(new LinkEvent(`unlink`, { vertex: vertex, edge: edge }));
 		} else {
-			edge.#socketTo.content = target;
-			edge.dispatchEvent(new Event(`attach`));
-			target.dispatchEvent(new LinkEvent(`link`, { vertex: target, edge: edge }));
+			edge.#attachTo(target);
+			if (EdgeEntity.#members.has(edge)) {
+				const [from, to] = [vertex.index, target.index];
+				CommandHistory.record({
+					execute: () => EdgeEntity.restoreBetween(VertexEntity.getMemberBy(from), VertexEntity.getMemberBy(to)),
+					revert: () => EdgeEntity.getMemberBetween(from, to).erase(),
+				});
+			}
+			synchronizeTextbox();
 		}
 	}
+	/**
+	 * @param {VertexEntity} from 
+	 * @param {VertexEntity} to 
+	 * @param {number} weight 
+	 * @returns {void}
+	 */
+	static restoreBetween(from, to, weight = 1) {
+		EdgeEntity.#locked = false;
+		const edge = new EdgeEntity();
+		EdgeEntity.#locked = true;
+		progenitor.children.add(edge);
+
+		edge.#socketFrom.content = from;
+		from.dispatchEvent(new LinkEvent(`link`, { vertex: from, edge: edge }));
+		edge.#attachTo(to);
+		graph.setWeightOf(from.index, to.index, weight);
+	}
 	/** @type {number} */
 	static #width;
 	/**
@@ -542,6 +1115,8 @@ class EdgeEntity extends MemberEntity {
 	}
 	/** @type {Readonly<Point2D>} */
 	static #pointPointerPosition;
+	/** @type {boolean} */
+	static #weighted = false;
 
 	//#region Socket
 	static Socket = class EdgeEntitySocket {
@@ -591,6 +1166,10 @@ class EdgeEntity extends MemberEntity {
 		progenitor.addEventListener(`pointermove`, (event) => {
 			EdgeEntity.#pointPointerPosition = event.position;
 		});
+
+		progenitor.addEventListener(`update`, (event) => {
+			EdgeEntity.#weighted = graph.weighted;
+		});
 	}
 	/**
 	 * @param {string} name 
@@ -634,27 +1213,62 @@ class EdgeEntity extends MemberEntity {
 			const pointFrom = Object.map(this.#socketFrom.content, content => content.position) ?? EdgeEntity.#pointPointerPosition;
 			const pointTo = Object.map(this.#socketTo.content, content => content.position) ?? EdgeEntity.#pointPointerPosition;
 			const angle = Math.atan2(pointFrom.y - pointTo.y, pointFrom.x - pointTo.x);
-			const offset = Math.asin(EdgeEntity.#width / 2 / VertexEntity.radius);
-			context.beginPath();
-			context.arc(pointFrom.x, pointFrom.y, VertexEntity.radius, angle + PI - offset, angle + PI + offset);
-			context.arc(pointTo.x, pointTo.y, VertexEntity.radius, angle - offset, angle + offset);
-			context.closePath();
-			context.fill();
+			if (this.#bridged) {
+				this.#strokeDashed(context, pointFrom, pointTo, angle, [EdgeEntity.#width * 2, EdgeEntity.#width], EdgeEntity.#width);
+			} else if (this.#backward) {
+				this.#strokeDashed(context, pointFrom, pointTo, angle, [EdgeEntity.#width / 2, EdgeEntity.#width], EdgeEntity.#width / 2);
+			} else {
+				const offset = Math.asin(EdgeEntity.#width / 2 / VertexEntity.radius);
+				context.beginPath();
+				context.arc(pointFrom.x, pointFrom.y, VertexEntity.radius, angle + PI - offset, angle + PI + offset);
+				context.arc(pointTo.x, pointTo.y, VertexEntity.radius, angle - offset, angle + offset);
+				context.closePath();
+				context.fill();
+			}
+			if (graph.directed && this.#socketTo.content !== null) {
+				this.#fillArrowhead(context, pointTo, angle);
+			}
 			context.restore();
 			MemberEntity.shine();
+			if (EdgeEntity.#weighted && EdgeEntity.#members.has(this)) {
+				const weight = graph.getWeightOf(this.#socketFrom.ensured.index, this.#socketTo.ensured.index);
+				MemberEntity.inscribe(`${weight}`, pointFrom["+"](pointTo)["/"](Point2D.CONSTANT_DOUBLE), VertexEntity.radius, this.#color);
+			}
 		});
 		//#endregion
 		//#region Edge control
 		this.addEventListener(`click`, (event) => {
 			if (inputExecuteProgram.checked || !inputEdgeTool.checked) return;
-			this.dispatchEvent(new Event(`detach`));
-			for (const socket of [this.#socketFrom, this.#socketTo]) {
-				const previous = socket.ensured;
-				socket.content = null;
-				previous.dispatchEvent(new LinkEvent(`unlink`, { vertex: previous, edge: this }));
-			}
-			progenitor.children.remove(this);
+			const from = this.#socketFrom.ensured.index;
+			const to = this.#socketTo.ensured.index;
+			const weight = graph.getWeightOf(from, to);
+			this.erase();
+			CommandHistory.record({
+				execute: () => EdgeEntity.getMemberBetween(from, to).erase(),
+				revert: () => EdgeEntity.restoreBetween(VertexEntity.getMemberBy(from), VertexEntity.getMemberBy(to), weight),
+			});
+			synchronizeTextbox();
 		});
+
+		this.addEventListener(`hold`, async (event) => await window.ensure(async () => {
+			if (inputExecuteProgram.checked || !inputEdgeTool.checked) return;
+			const from = this.#socketFrom.ensured.index;
+			const to = this.#socketTo.ensured.index;
+			const text = await window.promptAsync(`Enter the weight of the edge between ${from} and ${to}`, `${graph.getWeightOf(from, to)}`, `Weight`);
+			if (text === null) return;
+			const weight = Number(text);
+			if (String.isEmpty(text.trim()) || !Number.isFinite(weight)) {
+				await window.warn(`Weight '${text}' is not finite number`);
+				return;
+			}
+			const previous = graph.getWeightOf(from, to);
+			graph.setWeightOf(from, to, weight);
+			CommandHistory.record({
+				execute: () => graph.setWeightOf(from, to, weight),
+				revert: () => graph.setWeightOf(from, to, previous),
+			});
+			synchronizeTextbox();
+		}));
 		//#endregion
 	}
 	/**
@@ -723,10 +1337,97 @@ class EdgeEntity extends MemberEntity {
 			VertexEntity.radius < distanceCenter1Mouse && distanceCenter1Mouse < distanceCenter1Center2
 		);
 	}
+	/**
+	 * Removes the edge from the board, unlinking it from both vertices.
+	 * @returns {void}
+	 */
+	erase() {
+		this.dispatchEvent(new Event(`detach`));
+		for (const socket of [this.#socketFrom, this.#socketTo]) {
+			const previous = socket.ensured;
+			socket.content = null;
+			previous.dispatchEvent(new LinkEvent(`unlink`, { vertex: previous, edge: this }));
+		}
+		progenitor.children.remove(this);
+	}
+	/**
+	 * @returns {string[]}
+	 */
+	depict() {
+		const pointFrom = this.#socketFrom.ensured.position;
+		const pointTo = this.#socketTo.ensured.position;
+		const angle = atan2(pointFrom.y - pointTo.y, pointFrom.x - pointTo.x);
+		const color = this.#color.toString(true);
+		/** @type {string[]} */
+		const shapes = [];
+		if (this.#bridged || this.#backward) {
+			const [pointBegin, pointEnd] = this.#getDashedEnds(pointFrom, pointTo, angle);
+			const [dashes, width] = (this.#bridged
+				? [[EdgeEntity.#width * 2, EdgeEntity.#width], EdgeEntity.#width]
+				: [[EdgeEntity.#width / 2, EdgeEntity.#width], EdgeEntity.#width / 2]
+			);
+			shapes.push(`<line x1="${pointBegin.x}" y1="${-pointBegin.y}" x2="${pointEnd.x}" y2="${-pointEnd.y}" stroke="${color}" stroke-width="${width}" stroke-dasharray="${dashes.join(` `)}"/>`);
+		} else {
+			const radius = VertexEntity.radius;
+			const offset = Math.asin(EdgeEntity.#width / 2 / radius);
+			/** @type {[Readonly<Point2D>, number][]} */
+			const sides = [
+				[pointFrom, angle + PI - offset],
+				[pointFrom, angle + PI + offset],
+				[pointTo, angle - offset],
+				[pointTo, angle + offset],
+			];
+			const [pointFrom1, pointFrom2, pointTo1, pointTo2] = sides.map(([point, angle]) => MemberEntity.locate(point["+"](new Point2D(cos(angle), sin(angle))["*"](Point2D.repeat(radius)))));
+			shapes.push(`<path d="M ${pointFrom1} A ${radius} ${radius} 0 0 0 ${pointFrom2} L ${pointTo1} A ${radius} ${radius} 0 0 0 ${pointTo2} Z" fill="${color}"/>`);
+		}
+		if (graph.directed) {
+			shapes.push(`<polygon points="${this.#getArrowheadPoints(pointTo, angle).map(point => MemberEntity.locate(point)).join(` `)}" fill="${color}"/>`);
+		}
+		if (EdgeEntity.#weighted) {
+			const weight = graph.getWeightOf(this.#socketFrom.ensured.index, this.#socketTo.ensured.index);
+			shapes.push(MemberEntity.depictInscription(`${weight}`, pointFrom["+"](pointTo)["/"](Point2D.CONSTANT_DOUBLE), VertexEntity.radius, this.#color));
+		}
+		return shapes;
+	}
+	/**
+	 * @returns {string[]}
+	 */
+	typeset() {
+		const pointFrom = this.#socketFrom.ensured.position;
+		const pointTo = this.#socketTo.ensured.position;
+		const angle = atan2(pointFrom.y - pointTo.y, pointFrom.x - pointTo.x);
+		const color = MemberEntity.tint(this.#color);
+		const [pointBegin, pointEnd] = this.#getDashedEnds(pointFrom, pointTo, angle);
+		const [dashes, width] = (this.#bridged
+			? [[EdgeEntity.#width * 2, EdgeEntity.#width], EdgeEntity.#width]
+			: this.#backward
+				? [[EdgeEntity.#width / 2, EdgeEntity.#width], EdgeEntity.#width / 2]
+				: [null, EdgeEntity.#width]
+		);
+		const pattern = (dashes === null ? `` : `, dash pattern=on ${MemberEntity.measure(dashes[0])}cm off ${MemberEntity.measure(dashes[1])}cm`);
+		const commands = [`\\draw[color=${color}, line width=${MemberEntity.measure(width)}cm${pattern}] ${MemberEntity.place(pointBegin)} -- ${MemberEntity.place(pointEnd)};`];
+		if (graph.directed) {
+			commands.push(`\\fill[color=${color}] ${this.#getArrowheadPoints(pointTo, angle).map(point => MemberEntity.place(point)).join(` -- `)} -- cycle;`);
+		}
+		if (EdgeEntity.#weighted) {
+			const weight = graph.getWeightOf(this.#socketFrom.ensured.index, this.#socketTo.ensured.index);
+			commands.push(MemberEntity.typesetInscription(`${weight}`, pointFrom["+"](pointTo)["/"](Point2D.CONSTANT_DOUBLE), this.#color, true));
+		}
+		return commands;
+	}
 	/** @type {EdgeEntitySocket} */
 	#socketFrom = new EdgeEntity.Socket(this);
 	/** @type {EdgeEntitySocket} */
 	#socketTo = new EdgeEntity.Socket(this);
+	/**
+	 * @param {VertexEntity} target 
+	 * @returns {void}
+	 */
+	#attachTo(target) {
+		this.#socketTo.content = target;
+		this.dispatchEvent(new Event(`attach`));
+		target.dispatchEvent(new LinkEvent(`link`, { vertex: target, edge: this }));
+	}
 	/**
 	 * @param {VertexEntity} vertex 
 	 * @returns {[EdgeEntitySocket, EdgeEntitySocket]}
@@ -743,30 +1444,1052 @@ class EdgeEntity extends MemberEntity {
 	}
 	/** @type {Color} */
 	#color = EdgeEntity.colorInitial;
+	/** @type {boolean} */
+	#bridged = false;
+	/** @type {boolean} */
+	#backward = false;
+	/**
+	 * @param {CanvasRenderingContext2D} context 
+	 * @param {Readonly<Point2D>} pointFrom 
+	 * @param {Readonly<Point2D>} pointTo 
+	 * @param {number} angle 
+	 * @param {number[]} dashes 
+	 * @param {number} width 
+	 * @returns {void}
+	 */
+	#strokeDashed(context, pointFrom, pointTo, angle, dashes, width) {
+		const [pointBegin, pointEnd] = this.#getDashedEnds(pointFrom, pointTo, angle);
+		context.beginPath();
+		context.moveTo(pointBegin.x, pointBegin.y);
+		context.lineTo(pointEnd.x, pointEnd.y);
+		context.setLineDash(dashes);
+		context.lineWidth = width;
+		context.strokeStyle = this.#color.toString(true);
+		context.stroke();
+		context.setLineDash([]);
+	}
+	/**
+	 * @param {Readonly<Point2D>} pointFrom 
+	 * @param {Readonly<Point2D>} pointTo 
+	 * @param {number} angle 
+	 * @returns {[Point2D, Point2D]}
+	 */
+	#getDashedEnds(pointFrom, pointTo, angle) {
+		const pointOffset = new Point2D(cos(angle), sin(angle))["*"](Point2D.repeat(VertexEntity.radius));
+		return [pointFrom["-"](pointOffset), pointTo["+"](pointOffset)];
+	}
+	/**
+	 * @param {CanvasRenderingContext2D} context 
+	 * @param {Readonly<Point2D>} pointTo 
+	 * @param {number} angle 
+	 * @returns {void}
+	 */
+	#fillArrowhead(context, pointTo, angle) {
+		const [pointTip, pointLeft, pointRight] = this.#getArrowheadPoints(pointTo, angle);
+		context.beginPath();
+		context.moveTo(pointTip.x, pointTip.y);
+		context.lineTo(pointLeft.x, pointLeft.y);
+		context.lineTo(pointRight.x, pointRight.y);
+		context.closePath();
+		context.fillStyle = this.#color.toString(true);
+		context.fill();
+	}
+	/**
+	 * @param {Readonly<Point2D>} pointTo 
+	 * @param {number} angle 
+	 * @returns {[Point2D, Point2D, Point2D]}
+	 */
+	#getArrowheadPoints(pointTo, angle) {
+		const length = EdgeEntity.#width * 4;
+		const spread = PI / 8;
+		const pointTip = pointTo["+"](new Point2D(cos(angle), sin(angle))["*"](Point2D.repeat(VertexEntity.radius)));
+		return [
+			pointTip,
+			new Point2D(pointTip.x + length * cos(angle - spread), pointTip.y + length * sin(angle - spread)),
+			new Point2D(pointTip.x + length * cos(angle + spread), pointTip.y + length * sin(angle + spread)),
+		];
+	}
+}
+//#endregion
+//#region History
+/**
+ * @typedef Command
+ * @property {() => void} execute
+ * @property {() => void} revert
+ */
+
+class CommandHistory {
+	/** @type {Stack<Command>} */
+	static #past = new Stack();
+	/** @type {Stack<Command>} */
+	static #future = new Stack();
+	/**
+	 * Remembers the edit that has just been made, dropping the undone ones.
+	 * @param {Command} command 
+	 * @returns {void}
+	 */
+	static record(command) {
+		CommandHistory.#past.push(command);
+		CommandHistory.#future.clear();
+	}
+	/**
+	 * @returns {boolean}
+	 */
+	static undo() {
+		if (CommandHistory.#past.size < 1) return false;
+		const command = CommandHistory.#past.pop();
+		command.revert();
+		CommandHistory.#future.push(command);
+		return true;
+	}
+	/**
+	 * @returns {boolean}
+	 */
+	static redo() {
+		if (CommandHistory.#future.size < 1) return false;
+		const command = CommandHistory.#future.pop();
+		command.execute();
+		CommandHistory.#past.push(command);
+		return true;
+	}
+	/**
+	 * Forgets all the edits, once they no longer fit the drawing.
+	 * @returns {void}
+	 */
+	static clear() {
+		CommandHistory.#past.clear();
+		CommandHistory.#future.clear();
+	}
+}
+//#endregion
+//#region Layout
+/**
+ * Spreads the vertices by the spring-electrical model of Fruchterman and Reingold.
+ * Edges pull their ends like springs, every pair of vertices pushes apart, and each tick moves the vertices by their damped velocities.
+ */
+class LayoutSimulation {
+	/** @type {number} */
+	static #damping = 0.85;
+	/** @type {number} */
+	static #gravity = 0.05;
+	/** @type {number} */
+	static #cooling = 0.99;
+	/** @type {number} */
+	static #tolerance = 0.05;
+	/** @type {AbortController?} */
+	static #controller = null;
+	/** @type {Map<number, Readonly<Point2D>>} */
+	static #velocities = new Map();
+	/**
+	 * @readonly
+	 * @returns {boolean}
+	 */
+	static get running() {
+		return LayoutSimulation.#controller !== null;
+	}
+	/**
+	 * Sets the vertices in motion until they settle, then records the whole relaxation as one edit.
+	 * @returns {void}
+	 */
+	static start() {
+		if (LayoutSimulation.#controller !== null) return;
+		LayoutTransition.stop();
+		const controller = new AbortController();
+		LayoutSimulation.#controller = controller;
+		/** @type {Map<number, Readonly<Point2D>>} */
+		const pointsBegin = new Map(Array.from(graph.vertices, index => [index, VertexEntity.getMemberBy(index).position]));
+		let temperature = VertexEntity.radius * 60;
+		progenitor.addEventListener(`fixedupdate`, (event) => {
+			if (LayoutSimulation.#step(temperature) < LayoutSimulation.#tolerance) LayoutSimulation.stop();
+			temperature *= LayoutSimulation.#cooling;
+		}, { signal: controller.signal });
+		controller.signal.addEventListener(`abort`, (event) => {
+			/** @type {Map<number, Readonly<Point2D>>} */
+			const pointsEnd = new Map();
+			LayoutSimulation.#velocities.clear();
+			for (const index of graph.vertices) {
+				if (pointsBegin.has(index)) pointsEnd.set(index, VertexEntity.getMemberBy(index).position);
+			}
+			inputRelaxLayout.checked = false;
+			if (controller.signal.reason === false) return;
+			CommandHistory.record({
+				execute: () => pointsEnd.forEach((point, index) => VertexEntity.getMemberBy(index).relocate(point)),
+				revert: () => pointsEnd.forEach((point, index) => VertexEntity.getMemberBy(index).relocate(pointsBegin.get(index) ?? point)),
+			});
+			synchronizeTextbox();
+		});
+	}
+	/**
+	 * Freezes the vertices where they are.
+	 * @param {boolean} recorded Whether the relaxation is recorded as an edit and shared with the Textbox.
+	 * @returns {void}
+	 */
+	static stop(recorded = true) {
+		const controller = LayoutSimulation.#controller;
+		if (controller === null) return;
+		LayoutSimulation.#controller = null;
+		controller.abort(recorded);
+	}
+	/**
+	 * Moves the vertices by the forces of one tick, limiting the speed of each by the temperature.
+	 * @param {number} temperature 
+	 * @returns {number} The longest shift that a vertex has made.
+	 */
+	static #step(temperature) {
+		const vertices = Array.from(graph.vertices, index => VertexEntity.getMemberBy(index));
+		if (vertices.length < 1) return 0;
+		const distance = VertexEntity.radius * 6;
+		const centroid = vertices.reduce((total, vertex) => total["+"](vertex.position), Point2D.ZERO)["/"](Point2D.repeat(vertices.length));
+		const pins = VertexEntity.pins;
+		/** @type {Map<VertexEntity, Readonly<Point2D>>} */
+		const points = new Map();
+		let shift = 0;
+		for (const vertex of vertices) {
+			if (pins.has(vertex.index)) {
+				LayoutSimulation.#velocities.delete(vertex.index);
+				continue;
+			}
+			const position = vertex.position;
+			let force = centroid["-"](position)["*"](Point2D.repeat(LayoutSimulation.#gravity));
+			for (const other of vertices) {
+				if (other === vertex) continue;
+				let offset = position["-"](other.position);
+				if (offset.x === 0 && offset.y === 0) {
+					// Coincident vertices are parted along an arbitrary, but stable direction.
+					offset = new Point2D(vertex.index < other.index ? -1 : 1, 0);
+				}
+				const length = hypot(offset.x, offset.y);
+				force = force["+"](offset["*"](Point2D.repeat(distance ** 2 / length ** 2)));
+			}
+			const neighbors = graph.getNeighborsOf(vertex.index);
+			for (const index of neighbors) {
+				const offset = position["-"](VertexEntity.getMemberBy(index).position);
+				const length = hypot(offset.x, offset.y);
+				force = force["-"](offset["*"](Point2D.repeat(length / distance)));
+			}
+			// Hubs gain inertia, so that their many springs do not shake them.
+			const mass = 1 + neighbors.size;
+			const velocity = (LayoutSimulation.#velocities.get(vertex.index) ?? Point2D.ZERO)["*"](Point2D.repeat(LayoutSimulation.#damping));
+			let velocityNext = velocity["+"](force["/"](Point2D.repeat(mass)));
+			const speed = hypot(velocityNext.x, velocityNext.y);
+			if (speed > temperature) {
+				velocityNext = velocityNext["*"](Point2D.repeat(temperature / speed));
+			}
+			LayoutSimulation.#velocities.set(vertex.index, velocityNext);
+			points.set(vertex, position["+"](velocityNext["*"](Point2D.repeat(progenitor.delta))));
+			shift = max(shift, min(speed, temperature) * progenitor.delta);
+		}
+		// The vertices move together, so that each is pushed by the places of the others before the tick.
+		points.forEach((point, vertex) => vertex.relocate(point));
+		return shift;
+	}
+}
+
+/**
+ * Glides the vertices to the places of a layout, then records the whole move as one edit.
+ */
+class LayoutTransition {
+	/** @type {number} */
+	static #duration = 30;
+	/** @type {AbortController?} */
+	static #controller = null;
+	/**
+	 * @param {GraphPlacement} placement 
+	 * @returns {void}
+	 */
+	static start(placement) {
+		LayoutTransition.stop();
+		LayoutSimulation.stop();
+		const controller = new AbortController();
+		LayoutTransition.#controller = controller;
+		/** @type {Map<number, Readonly<Point2D>>} */
+		const pointsBegin = new Map(Array.from(placement.keys(), index => [index, VertexEntity.getMemberBy(index).position]));
+		const animator = new Animator(LayoutTransition.#duration);
+		animator.addEventListener(`update`, (event) => {
+			const factor = toFactor(animator.frame + 1, animator.duration);
+			const factorEased = factor * factor * (3 - 2 * factor);
+			for (const [index, point] of placement) {
+				if (!graph.vertices.has(index)) continue;
+				const pointBegin = pointsBegin.get(index) ?? point;
+				VertexEntity.getMemberBy(index).relocate(pointBegin["+"](point["-"](pointBegin)["*"](Point2D.repeat(factorEased))));
+			}
+			if (animator.frame + 1 >= animator.duration) LayoutTransition.stop();
+		}, { signal: controller.signal });
+		controller.signal.addEventListener(`abort`, (event) => {
+			/** @type {Map<number, Readonly<Point2D>>} */
+			const pointsEnd = new Map();
+			for (const [index, point] of placement) {
+				if (!graph.vertices.has(index)) continue;
+				VertexEntity.getMemberBy(index).relocate(point);
+				pointsEnd.set(index, point);
+			}
+			if (controller.signal.reason === false) return;
+			CommandHistory.record({
+				execute: () => pointsEnd.forEach((point, index) => VertexEntity.getMemberBy(index).relocate(point)),
+				revert: () => pointsEnd.forEach((point, index) => VertexEntity.getMemberBy(index).relocate(pointsBegin.get(index) ?? point)),
+			});
+			synchronizeTextbox();
+		});
+	}
+	/**
+	 * Skips the rest of the transition, putting the vertices right to their places.
+	 * @param {boolean} recorded Whether the transition is recorded as an edit and shared with the Textbox.
+	 * @returns {void}
+	 */
+	static stop(recorded = true) {
+		const controller = LayoutTransition.#controller;
+		if (controller === null) return;
+		LayoutTransition.#controller = null;
+		controller.abort(recorded);
+	}
 }
 //#endregion
 //#region Controller
+/**
+ * @param {Graph[]} components 
+ * @returns {Palette}
+ */
+function createComponentsPalette(components) {
+	return new Map(components.map((component, index, array) => new DataPair(component, Color.viaHSL(index / array.length * 360, 100, 40)).toArray()));
+}
+
+/** @type {Color} */
+const colorHighlight = Color.viaHSL(200, 100, 50);
+/** @type {Color} */
+const colorFaded = MemberEntity.colorInitial.pass(0.25);
+
+/**
+ * @param {string} mode 
+ * @returns {ColoringOptions}
+ */
+function getColoringOptions(mode) {
+	if (mode.startsWith(`coloring-greedy-`)) return { algorithm: `greedy`, order: /** @type {ColoringOrder} */ (mode.slice(`coloring-greedy-`.length)) };
+	return { algorithm: (mode === `coloring-dsatur` ? `dsatur` : `exact`) };
+}
+
+/**
+ * @param {number} source 
+ * @param {number} target 
+ * @returns {GraphPaths}
+ */
+function searchPaths(source, target) {
+	const mode = selectProgramMode.value;
+	switch (mode) {
+		case `shortest-path-breadth-first`: return Graph.Paths.viaBreadthFirst(graph, source);
+		case `shortest-path-dijkstra`: return Graph.Paths.viaDijkstra(graph, source);
+		case `shortest-path-bellman-ford`: return Graph.Paths.viaBellmanFord(graph, source);
+		case `shortest-path-a-star`: {
+			// Scale the euclidean distance down to the weights so the estimate never overestimates.
+			const ratio = max(0, min(...graph.edges.map(([from, to]) => graph.getWeightOf(from, to) / VertexEntity.getDistanceBetween(from, to))));
+			return Graph.Paths.viaAStar(graph, source, target, index => (Number.isFinite(ratio) ? ratio * VertexEntity.getDistanceBetween(index, target) : 0));
+		}
+		default: throw new TypeError(`Invalid program mode '${mode}'`);
+	}
+}
+
+/** @type {number[]} */
+const picks = [];
+
+/**
+ * @param {VertexEntity} vertex 
+ * @returns {Promise<void>}
+ */
+async function pickVertex(vertex) {
+	if (!selectProgramMode.value.startsWith(`shortest-path-`)) return;
+	if (picks.length > 1) picks.splice(0, picks.length);
+	picks.push(vertex.index);
+	VertexEntity.markRings(new Set(picks));
+	/** @type {Palette} */
+	let palette = new Map([new DataPair(graph, MemberEntity.colorInitial).toArray()]);
+	if (picks.length > 1) {
+		const [source, target] = picks;
+		/** @type {GraphPaths} */
+		let paths;
+		try {
+			paths = searchPaths(source, target);
+		} catch (error) {
+			if (!(error instanceof EvalError) && !(error instanceof RangeError)) throw error;
+			picks.splice(0, picks.length);
+			VertexEntity.markRings(new Set(picks));
+			await window.warn(error.message);
+			return;
+		}
+		if (paths.getDistanceTo(target) === Infinity) {
+			await window.warn(`Vertex ${target} is unreachable from ${source}`);
+		} else {
+			palette = new Map([
+				new DataPair(graph, colorFaded).toArray(),
+				new DataPair(paths.getTrailTo(target), colorHighlight).toArray(),
+			]);
+		}
+	}
+	EdgeEntity.markHighlighting(palette);
+	VertexEntity.markHighlighting(palette);
+}
+
+/**
+ * Rewrites the Textbox document with the drawn graph and shares both archives at once.
+ * @returns {void}
+ */
+function synchronizeTextbox() {
+	managerTextbox.data.valueTextbox = formats.get(managerTextbox.data.formatTextbox).stringify(graph);
+	managerTextbox.save();
+	managerBoard.save();
+}
+
+/**
+ * Draws the board as an SVG document with the same layout and colors as the canvas.
+ * @returns {string}
+ */
+function depictBoard() {
+	const { width, height } = canvas;
+	const { offset, scale } = camera;
+	const [left, top] = [offset.x - width / scale / 2, -offset.y - height / scale / 2];
+	return [
+		`<?xml version="1.0" encoding="UTF-8"?>`,
+		`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${left} ${top} ${width / scale} ${height / scale}">`,
+		`<rect x="${left}" y="${top}" width="${width / scale}" height="${height / scale}" fill="${colorBackground.toString(true)}"/>`,
+		...EdgeEntity.depictMembers(),
+		...VertexEntity.depictMembers(),
+		`</svg>`,
+	].join(`\n`);
+}
+
+/**
+ * Writes the board as a standalone TikZ picture with the current highlighting.
+ * @returns {string}
+ */
+function typesetBoard() {
+	return [
+		`% Requires \\usepackage{tikz}`,
+		`\\begin{tikzpicture}`,
+		...EdgeEntity.typesetMembers().map(command => `\t${command}`),
+		...VertexEntity.typesetMembers().map(command => `\t${command}`),
+		`\\end{tikzpicture}`,
+	].join(`\n`);
+}
+
+/**
+ * Removes the vertices with their edges from the board as one edit.
+ * @param {Set<number>} indices 
+ * @returns {void}
+ */
+function eraseVertices(indices) {
+	if (indices.size < 1) return;
+	const vertices = Array.from(indices, index => new DataPair(index, { point: VertexEntity.getMemberBy(index).position, attributes: graph.getAttributesOf(index) }));
+	/** @type {[number, number, number][]} */
+	const edges = graph.edges
+		.filter(([from, to]) => indices.has(from) || indices.has(to))
+		.map(([from, to]) => [from, to, graph.getWeightOf(from, to)]);
+	for (const index of indices) {
+		VertexEntity.getMemberBy(index).erase();
+	}
+	CommandHistory.record({
+		execute: () => {
+			for (const index of indices) {
+				VertexEntity.getMemberBy(index).erase();
+			}
+		},
+		revert: () => {
+			for (const { key: index, value: { point, attributes } } of vertices) {
+				VertexEntity.restoreAt(index, point);
+				graph.setAttributesOf(index, attributes);
+			}
+			for (const [from, to, weight] of edges) {
+				EdgeEntity.restoreBetween(VertexEntity.getMemberBy(from), VertexEntity.getMemberBy(to), weight);
+			}
+		},
+	});
+	synchronizeTextbox();
+}
+
+/**
+ * Arranges the vertices by the layout around the middle of their current bounds.
+ * @param {string} key 
+ * @returns {void}
+ */
+function arrangeVertices(key) {
+	const points = Array.from(graph.vertices, index => VertexEntity.getMemberBy(index).position);
+	if (points.length < 1) return;
+	const middle = new Point2D(
+		(min(...points.map(point => point.x)) + max(...points.map(point => point.x))) / 2,
+		(min(...points.map(point => point.y)) + max(...points.map(point => point.y))) / 2,
+	);
+	const placement = layouts.get(key).arrange(graph, VertexEntity.radius * 5);
+	LayoutTransition.start(new Map(Array.from(placement, ([index, point]) => [index, point["+"](middle)])));
+}
+
+/**
+ * Maps the client coordinates of the pointer onto the world, the way the engine does for its pointer events.
+ * @param {number} x 
+ * @param {number} y 
+ * @returns {Point2D}
+ */
+function locateClient(x, y) {
+	const { x: xOffset, y: yOffset, width, height } = canvas.getBoundingClientRect();
+	return camera.toWorld(new Point2D(x - xOffset - width / 2, -(y - yOffset - height / 2)));
+}
+
+/**
+ * Frames all the vertices along with their inscriptions, or returns to the origin when the board is empty.
+ * @returns {void}
+ */
+function fitView() {
+	const points = Array.from(graph.vertices, index => VertexEntity.getMemberBy(index).position);
+	if (points.length < 1) {
+		camera.scale = 1;
+		camera.offset = Point2D.ZERO;
+		return;
+	}
+	const margin = Point2D.repeat(VertexEntity.radius * 3);
+	const begin = new Point2D(min(...points.map(point => point.x)), min(...points.map(point => point.y)))["-"](margin);
+	const end = new Point2D(max(...points.map(point => point.x)), max(...points.map(point => point.y)))["+"](margin);
+	camera.fit(begin, end);
+}
+
+/**
+ * @param {Graph} archived 
+ * @param {number} counter 
+ * @returns {void}
+ */
+function restoreDrawing(archived, counter) {
+	graph.directed = archived.directed;
+	graph.seed = archived.seed;
+	inputDirectedGraph.checked = archived.directed;
+	const indices = Array.from(archived.vertices).sort((index1, index2) => index1 - index2);
+	const radius = min(canvas.width, canvas.height) / 3;
+	/** @type {StrictMap<number, VertexEntity>} */
+	const vertices = new StrictMap();
+	for (const [order, index] of indices.entries()) {
+		const attributes = archived.getAttributesOf(index);
+		const angle = order / indices.length * 2 * PI;
+		const point = (attributes.x !== undefined && attributes.y !== undefined
+			? new Point2D(attributes.x, attributes.y)
+			: new Point2D(radius * cos(angle), radius * sin(angle))
+		);
+		vertices.set(index, VertexEntity.restoreAt(index, Object.freeze(point)));
+		graph.setAttributesOf(index, { ...attributes, ...graph.getAttributesOf(index) });
+	}
+	for (const [from, to] of archived.edges) {
+		EdgeEntity.restoreBetween(vertices.get(from), vertices.get(to), archived.getWeightOf(from, to));
+	}
+	VertexEntity.counter = max(counter, ...indices.map(index => index + 1));
+}
+
+/**
+ * Removes everything from the board and starts the numbering anew.
+ * @returns {void}
+ */
+function clearDrawing() {
+	for (const index of graph.vertices) {
+		VertexEntity.getMemberBy(index).erase();
+	}
+	VertexEntity.counter = 0;
+}
+
+/**
+ * Puts the graph on the board instead of the current one as one edit.
+ * @param {Graph} source 
+ * @returns {void}
+ */
+function replaceDrawing(source) {
+	LayoutSimulation.stop();
+	LayoutTransition.stop();
+	const previous = Graph.import(graph.export());
+	const counter = VertexEntity.counter;
+	const execute = () => {
+		clearDrawing();
+		restoreDrawing(source, 0);
+	};
+	execute();
+	CommandHistory.record({
+		execute: execute,
+		revert: () => {
+			clearDrawing();
+			restoreDrawing(previous, counter);
+		},
+	});
+}
+
+/**
+ * Lists the inputs for the parameters of the generator with their default values.
+ * @param {string} key 
+ * @returns {void}
+ */
+function showGeneratorParameters(key) {
+	divGeneratorParameters.replaceChildren();
+	for (const [name, parameter] of generators.get(key).parameters) {
+		const label = divGeneratorParameters.appendChild(document.createElement(`label`));
+		label.classList.add(`flex`, `secondary-centered`, `with-gap`);
+		label.textContent = parameter.name;
+		const input = label.appendChild(document.createElement(`input`));
+		input.classList.add(`depth`, `rounded`, `with-padding`);
+		input.type = `number`;
+		input.name = name;
+		input.min = `${parameter.min}`;
+		input.max = `${parameter.max}`;
+		input.step = `${parameter.step}`;
+		input.value = `${parameter.value}`;
+	}
+}
+
+/**
+ * @typedef TraceState
+ * @property {Map<number, number>} visits
+ * @property {Map<number, number>} lowlinks
+ * @property {[number, number][]} stack
+ * @property {[number, number][]} backs
+ * @property {[number, number][][]} components
+ * @property {number?} current
+ */
+
+/** @type {GraphTraceEvent[]} */
+let trace = [];
+/** @type {number} */
+const durationTraceFrame = 0.5;
+/** @type {number} */
+let timeTraceFrame = 0;
+
+/**
+ * @param {number} frame 
+ * @returns {TraceState}
+ */
+function replayTrace(frame) {
+	/** @type {TraceState} */
+	const state = { visits: new Map(), lowlinks: new Map(), stack: [], backs: [], components: [], current: null };
+	for (const event of trace.slice(0, frame)) {
+		switch (event.type) {
+			case `visit`: {
+				state.visits.set(event.vertex, event.visit);
+				state.lowlinks.set(event.vertex, event.lowlink);
+				state.current = event.vertex;
+			} break;
+			case `update-lowlink`: {
+				state.lowlinks.set(event.vertex, event.lowlink);
+				state.current = event.vertex;
+			} break;
+			case `push-edge`: {
+				state.stack.push(event.edge);
+				if (event.kind === `back`) state.backs.push(event.edge);
+				state.current = event.edge[0];
+			} break;
+			case `pop-component`: {
+				state.stack.splice(state.stack.length - event.edges.length, event.edges.length);
+				state.components.push(event.edges);
+			} break;
+			default: throw new TypeError(`Invalid trace event type`);
+		}
+	}
+	return state;
+}
+
+/**
+ * @param {[number, number][]} edges 
+ * @returns {Graph}
+ */
+function createEdgesGraph(edges) {
+	const result = new Graph();
+	for (const [from, to] of edges) {
+		for (const index of [from, to]) {
+			if (!result.vertices.has(index)) result.addVertex(index);
+		}
+		if (!result.hasEdge(from, to)) result.addEdge(from, to);
+	}
+	return result;
+}
+
+/**
+ * @param {number} frame 
+ * @returns {void}
+ */
+function showTraceFrame(frame) {
+	frame = between(frame, 0, trace.length);
+	inputTraceScrubber.value = `${frame}`;
+	const { visits, lowlinks, stack, backs, components, current } = replayTrace(frame);
+	const count = trace.filter(event => event.type === `pop-component`).length;
+	/** @type {Palette} */
+	const palette = new Map([
+		new DataPair(graph, colorFaded).toArray(),
+		new DataPair(createEdgesGraph(stack), colorHighlight).toArray(),
+		...components.map((edges, index) => new DataPair(createEdgesGraph(edges), Color.viaHSL(index / count * 360, 100, 40)).toArray()),
+	]);
+	EdgeEntity.markHighlighting(palette);
+	VertexEntity.markHighlighting(palette);
+	VertexEntity.markRings(new Set(current === null ? [] : [current]));
+	VertexEntity.markAnnotations(new Map(Array.from(visits, ([vertex, visit]) => [vertex, `${visit}/${lowlinks.get(vertex)}`])));
+	EdgeEntity.markBackEdges(backs);
+}
+
 await window.load(Promise.fulfill(() => {
+	restoreDrawing(graphArchived, counterArchived);
+
+	managerBoard.addEventListener(`change`, async () => await window.ensure(() => {
+		const { graph: archived, counter } = managerBoard.data;
+		if (inputExecuteProgram.checked) {
+			inputExecuteProgram.checked = false;
+			inputExecuteProgram.dispatchEvent(new Event(`change`));
+		}
+		VertexEntity.selection = new Set();
+		// The edit comes from the other page, so neither the stopped layouts nor the history may write over it.
+		LayoutSimulation.stop(false);
+		LayoutTransition.stop(false);
+		clearDrawing();
+		restoreDrawing(archived, counter);
+		CommandHistory.clear();
+		managerBoard.data.graph = graph;
+	}));
+
 	userInterface.addEventListener(`click`, (event) => {
 		if (inputExecuteProgram.checked || !inputVertexTool.checked) return;
-		VertexEntity.tryAttachAt(event.position);
+		if (VertexEntity.selection.size > 0) {
+			VertexEntity.selection = new Set();
+			return;
+		}
+		const vertex = VertexEntity.tryAttachAt(event.position);
+		if (vertex !== null) {
+			const index = vertex.index;
+			const point = vertex.position;
+			CommandHistory.record({
+				execute: () => VertexEntity.restoreAt(index, point),
+				revert: () => VertexEntity.getMemberBy(index).erase(),
+			});
+		}
+		synchronizeTextbox();
+	});
+
+	inputDirectedGraph.addEventListener(`change`, async () => await window.ensure(async () => {
+		if (EdgeEntity.count > 0) {
+			inputDirectedGraph.checked = graph.directed;
+			await window.warn(`Orientation can be changed only while the board has no edges`);
+			return;
+		}
+		const directed = inputDirectedGraph.checked;
+		graph.directed = directed;
+		CommandHistory.record({
+			execute: () => inputDirectedGraph.checked = graph.directed = directed,
+			revert: () => inputDirectedGraph.checked = graph.directed = !directed,
+		});
+		synchronizeTextbox();
+	}));
+
+	/**
+	 * @param {boolean} forward 
+	 * @returns {void}
+	 */
+	function travelHistory(forward) {
+		if (inputExecuteProgram.checked) return;
+		LayoutSimulation.stop();
+		LayoutTransition.stop();
+		if (forward ? CommandHistory.redo() : CommandHistory.undo()) synchronizeTextbox();
+	}
+
+	buttonUndoEdit.addEventListener(`click`, async () => await window.ensure(() => travelHistory(false)));
+
+	buttonRedoEdit.addEventListener(`click`, async () => await window.ensure(() => travelHistory(true)));
+
+	/** @type {Readonly<Point2D>} */
+	let pointGrab = Point2D.ZERO;
+	/** @type {[Readonly<Point2D>, Readonly<Point2D>]?} */
+	let band = null;
+
+	userInterface.addEventListener(`dragbegin`, (event) => {
+		pointGrab = event.position;
+		band = (isShiftHeld && !inputExecuteProgram.checked ? [event.position, event.position] : null);
 	});
 
+	userInterface.addEventListener(`drag`, (event) => {
+		if (band !== null) {
+			band = [band[0], event.position];
+			return;
+		}
+		camera.offset = camera.offset["+"](pointGrab["-"](event.position));
+	});
+
+	userInterface.addEventListener(`dragend`, (event) => {
+		if (band === null) return;
+		const [begin] = band;
+		band = null;
+		const selection = VertexEntity.selection;
+		for (const index of VertexEntity.getIndicesWithin(begin, event.position)) {
+			selection.add(index);
+		}
+		VertexEntity.selection = selection;
+	});
+
+	progenitor.addEventListener(`render`, (event) => {
+		if (band === null) return;
+		const [begin, end] = band;
+		context.save();
+		context.fillStyle = colorHighlight.pass(0.1).toString(true);
+		context.strokeStyle = colorHighlight.toString(true);
+		context.lineWidth = EdgeEntity.width / 4;
+		context.beginPath();
+		context.rect(begin.x, begin.y, end.x - begin.x, end.y - begin.y);
+		context.fill();
+		context.stroke();
+		context.restore();
+	});
+
+	canvas.addEventListener(`wheel`, (event) => {
+		event.preventDefault();
+		camera.zoomAt(locateClient(event.clientX, event.clientY), 2 ** (-event.deltaY / 500));
+	}, { passive: false });
+
+	/** @type {number?} */
+	let distancePinch = null;
+
+	canvas.addEventListener(`touchmove`, (event) => {
+		const [touch1, touch2] = [event.touches.item(0), event.touches.item(1)];
+		if (touch1 === null || touch2 === null) {
+			distancePinch = null;
+			return;
+		}
+		const distance = hypot(touch1.clientX - touch2.clientX, touch1.clientY - touch2.clientY);
+		if (distancePinch !== null && distance > 0) {
+			camera.zoomAt(locateClient((touch1.clientX + touch2.clientX) / 2, (touch1.clientY + touch2.clientY) / 2), distance / distancePinch);
+		}
+		distancePinch = distance;
+	});
+
+	canvas.addEventListener(`touchend`, (event) => {
+		distancePinch = null;
+	});
+
+	buttonFitView.addEventListener(`click`, async () => await window.ensure(() => fitView()));
+
+	inputRelaxLayout.addEventListener(`change`, async (event) => await window.ensure(() => {
+		if (inputRelaxLayout.checked) LayoutSimulation.start();
+		else LayoutSimulation.stop();
+	}));
+
+	buttonPinSelection.addEventListener(`click`, async () => await window.ensure(() => {
+		const selection = VertexEntity.selection;
+		const pins = VertexEntity.pins;
+		const pinned = Array.from(selection).every(index => pins.has(index));
+		for (const index of selection) {
+			if (pinned) pins.delete(index);
+			else pins.add(index);
+		}
+		VertexEntity.pins = pins;
+	}));
+
+	window.addEventListener(`keydown`, async (event) => await window.ensure(() => {
+		if (event.code !== `Delete` && event.code !== `Backspace`) return;
+		if (isKeyOutsideBoard(event)) return;
+		if (inputExecuteProgram.checked) return;
+		eraseVertices(VertexEntity.selection);
+	}));
+
+	window.addEventListener(`keydown`, async (event) => await window.ensure(() => {
+		if (!event.ctrlKey && !event.metaKey) return;
+		if (event.code !== `KeyZ` && event.code !== `KeyY`) return;
+		if (isKeyOutsideBoard(event)) return;
+		event.preventDefault();
+		travelHistory(event.code === `KeyY` || event.shiftKey);
+	}));
+
 	inputExecuteProgram.addEventListener(`change`, async () => await window.ensure(async () => {
+		if (inputExecuteProgram.checked && graph.directed && selectProgramMode.value.startsWith(`spanning-forest-`)) {
+			inputExecuteProgram.checked = false;
+			await window.warn(`Spanning forest can be built only for undirected graphs`);
+			return;
+		}
+		/** @type {VertexColoring?} */
+		let coloring = null;
+		if (inputExecuteProgram.checked && selectProgramMode.value.startsWith(`coloring-`)) {
+			try {
+				coloring = await window.load(Promise.resolve(Graph.getVertexColoring(graph, getColoringOptions(selectProgramMode.value))));
+			} catch (error) {
+				if (!(error instanceof EvalError) && !(error instanceof RangeError)) throw error;
+				inputExecuteProgram.checked = false;
+				await window.warn(error.message);
+				return;
+			}
+		}
+		VertexEntity.selection = new Set();
+		LayoutSimulation.stop();
+		LayoutTransition.stop();
+		inputRelaxLayout.disabled = inputExecuteProgram.checked;
+		selectLayoutMode.disabled = inputExecuteProgram.checked;
+		buttonOpenGenerator.disabled = inputExecuteProgram.checked;
+		buttonApplyLayout.disabled = inputExecuteProgram.checked;
+		buttonPinSelection.disabled = inputExecuteProgram.checked;
 		inputVertexTool.disabled = inputExecuteProgram.checked;
 		inputEdgeTool.disabled = inputExecuteProgram.checked;
+		inputDirectedGraph.disabled = inputExecuteProgram.checked;
+		selectProgramMode.disabled = inputExecuteProgram.checked;
 
 		/**
 		 * @todo Fix in controller
 		 */
 		/** @type {Palette} */
-		const palette = new Map((inputExecuteProgram.checked
-			? await window.load(Promise.resolve(Graph.DFS.getBiconnectedComponents(graph).map((graph, index, array) => new DataPair(graph, Color.viaHSL(index / array.length * 360, 100, 40)))))
-			: [new DataPair(graph, MemberEntity.colorInitial)]
-		).map(rule => rule.toArray()));
+		let palette = new Map([new DataPair(graph, MemberEntity.colorInitial).toArray()]);
+		/** @type {Set<number>} */
+		let articulations = new Set();
+		/** @type {[number, number][]} */
+		let bridges = [];
+		/** @type {Map<number, Color>} */
+		let fills = new Map();
+		trace = [];
+		if (inputExecuteProgram.checked) {
+			const mode = selectProgramMode.value;
+			switch (mode) {
+				case `biconnected-components`: {
+					trace = await window.load(Promise.resolve(Graph.DFS.traceBiconnectedComponents(graph)));
+				} break;
+				case `cut-elements`: {
+					palette = await window.load(Promise.resolve(createComponentsPalette(Graph.DFS.getBiconnectedComponents(graph))));
+					articulations = Graph.DFS.getArticulationPoints(graph);
+					bridges = Graph.DFS.getBridges(graph);
+				} break;
+				case `strongly-connected-components`: {
+					palette = await window.load(Promise.resolve(createComponentsPalette(Graph.DFS.getStronglyConnectedComponents(graph))));
+				} break;
+				case `shortest-path-breadth-first`:
+				case `shortest-path-dijkstra`:
+				case `shortest-path-bellman-ford`:
+				case `shortest-path-a-star`: break;
+				case `spanning-forest-kruskal`:
+				case `spanning-forest-prim`: {
+					const algorithm = (mode === `spanning-forest-kruskal` ? `kruskal` : `prim`);
+					const { forest } = await window.load(Promise.resolve(Graph.getMinimumSpanningForest(graph, { algorithm })));
+					palette = new Map([
+						new DataPair(graph, colorFaded).toArray(),
+						new DataPair(forest, colorHighlight).toArray(),
+					]);
+				} break;
+				case `coloring-greedy-natural`:
+				case `coloring-greedy-largest-first`:
+				case `coloring-greedy-smallest-last`:
+				case `coloring-dsatur`:
+				case `coloring-exact`: {
+					if (coloring === null) break;
+					const { colors, count } = coloring;
+					fills = new Map(Array.from(colors, ([index, color]) => [index, Color.viaHSL(color / count * 360, 100, 40)]));
+				} break;
+				default: throw new TypeError(`Invalid program mode '${mode}'`);
+			}
+		}
 
 		EdgeEntity.markHighlighting(palette);
 		VertexEntity.markHighlighting(palette);
+		EdgeEntity.markBridges(bridges);
+		VertexEntity.markRings(articulations);
+		EdgeEntity.markBackEdges([]);
+		VertexEntity.markAnnotations(new Map());
+		VertexEntity.markFills(fills);
+		picks.splice(0, picks.length);
+
+		inputTracePlaying.checked = false;
+		timeTraceFrame = 0;
+		divTimeline.hidden = (trace.length < 1);
+		inputTraceScrubber.max = `${trace.length}`;
+		if (trace.length > 0) {
+			showTraceFrame(0);
+			inputTracePlaying.checked = true;
+		}
+		if (coloring !== null) {
+			const { count } = coloring;
+			await window.alertAsync((selectProgramMode.value === `coloring-exact`
+				? `Chromatic number is ${count}`
+				: `Vertices are colored with ${count} color${count === 1 ? `` : `s`}`
+			), `Coloring`);
+		}
+	}));
+
+	buttonTraceBack.addEventListener(`click`, async () => await window.ensure(() => {
+		inputTracePlaying.checked = false;
+		showTraceFrame(inputTraceScrubber.valueAsNumber - 1);
+	}));
+
+	buttonTraceStep.addEventListener(`click`, async () => await window.ensure(() => {
+		inputTracePlaying.checked = false;
+		showTraceFrame(inputTraceScrubber.valueAsNumber + 1);
+	}));
+
+	inputTracePlaying.addEventListener(`change`, async () => await window.ensure(() => {
+		timeTraceFrame = 0;
+		if (inputTracePlaying.checked && inputTraceScrubber.valueAsNumber >= trace.length) {
+			showTraceFrame(0);
+		}
+	}));
+
+	inputTraceScrubber.addEventListener(`input`, async () => await window.ensure(() => {
+		inputTracePlaying.checked = false;
+		showTraceFrame(inputTraceScrubber.valueAsNumber);
+	}));
+
+	progenitor.addEventListener(`update`, (event) => {
+		if (!inputTracePlaying.checked) return;
+		const delta = progenitor.delta;
+		if (!Number.isFinite(delta)) return;
+		timeTraceFrame += delta;
+		if (timeTraceFrame < durationTraceFrame) return;
+		timeTraceFrame = 0;
+		const frame = inputTraceScrubber.valueAsNumber + 1;
+		showTraceFrame(frame);
+		if (frame >= trace.length) {
+			inputTracePlaying.checked = false;
+		}
+	});
+
+	for (const [key, format] of formats) {
+		selectExportFormat.add(new Option(format.name, key));
+	}
+
+	buttonExportGraph.addEventListener(`click`, async () => await window.ensure(() => {
+		const format = formats.get(selectExportFormat.value);
+		navigator.download(new File([format.stringify(graph)], `${Date.now()}.${format.extension}`, { type: format.type }));
+	}));
+
+	for (const [key, generator] of generators) {
+		selectGeneratorMode.add(new Option(generator.name, key));
+	}
+	showGeneratorParameters(selectGeneratorMode.value);
+
+	selectGeneratorMode.addEventListener(`change`, async (event) => await window.ensure(() => {
+		showGeneratorParameters(selectGeneratorMode.value);
+	}));
+
+	buttonOpenGenerator.addEventListener(`click`, async () => await window.ensure(() => {
+		if (inputExecuteProgram.checked) return;
+		dialogGenerator.showModal();
+	}));
+
+	buttonCloseGenerator.addEventListener(`click`, async () => await window.ensure(() => {
+		dialogGenerator.close();
+	}));
+
+	buttonSpawnGraph.addEventListener(`click`, async () => await window.ensure(async () => {
+		/** @type {Map<string, number>} */
+		const values = new Map(Array.from(divGeneratorParameters.querySelectorAll(`input`), input => [input.name, Number(input.value)]));
+		/** @type {Graph} */
+		let generated;
+		try {
+			const random = (String.isEmpty(inputGeneratorSeed.value) ? new Random() : new Random(Number(inputGeneratorSeed.value)));
+			generated = generators.get(selectGeneratorMode.value).generate(values, random);
+		} catch (error) {
+			if (!(error instanceof RangeError) && !(error instanceof EvalError)) throw error;
+			await window.warn(error.message);
+			return;
+		}
+		dialogGenerator.close();
+		replaceDrawing(generated);
+		synchronizeTextbox();
+		fitView();
+	}));
+
+	for (const [key, layout] of layouts) {
+		selectLayoutMode.add(new Option(layout.name, key));
+	}
+
+	buttonApplyLayout.addEventListener(`click`, async () => await window.ensure(async () => {
+		try {
+			arrangeVertices(selectLayoutMode.value);
+		} catch (error) {
+			if (!(error instanceof TypeError)) throw error;
+			await window.warn(error.message);
+		}
 	}));
 
 	buttonCaptureCanvas.addEventListener(`click`, async () => await window.ensure(() => {
@@ -784,5 +2507,13 @@ await window.load(Promise.fulfill(() => {
 			navigator.download(new File([blob], `${Date.now()}.png`));
 		});
 	}));
+
+	buttonCaptureVector.addEventListener(`click`, async () => await window.ensure(() => {
+		navigator.download(new File([depictBoard()], `${Date.now()}.svg`, { type: `image/svg+xml` }));
+	}));
+
+	buttonCaptureTypeset.addEventListener(`click`, async () => await window.ensure(() => {
+		navigator.download(new File([typesetBoard()], `${Date.now()}.tex`, { type: `application/x-tex` }));
+	}));
 }), 200, 1000);
 //#endregion
\ No newline at end of file
@@ -4,7 +4,7 @@
 
 import { Point2D } from "../Modules/Measures.js";
 import { Entity } from "./Entity.js";
-import { canvas, progenitor } from "./Node.js";
+import { camera, canvas, progenitor } from "./Node.js";
 
 //#region Interface item
 /**
@@ -122,6 +122,16 @@ class UserInterface extends InterfaceItem {
 			}
 		});
 	}
+	/**
+	 * Checks if the point is within the canvas, wherever the camera looks.
+	 * @param {Readonly<Point2D>} point The point to check.
+	 * @returns {boolean} Whether the point is within the mesh.
+	 */
+	isMesh(point) {
+		const { x, y } = camera.toCanvas(point);
+		const size = this.size;
+		return (-size.x / 2 <= x && x < size.x / 2 && -size.y / 2 <= y && y < size.y / 2);
+	}
 	/**
 	 * @template {keyof UserInterfaceEventMap} K
 	 * @param {K} type 
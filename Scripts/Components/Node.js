@@ -4,7 +4,7 @@ import { FastEngine, PreciseEngine } from "../Modules/Executors.js";
 import { } from "../Modules/Extensions.js";
 import { Point2D } from "../Modules/Measures.js";
 
-const { min } = Math;
+const { min, max } = Math;
 
 /**
  * Axis factors for coordinate transformation
@@ -28,13 +28,7 @@ window.addEventListener(`resize`, (event) => {
 	const { width, height } = canvas.getBoundingClientRect();
 	canvas.width = width;
 	canvas.height = height;
-
-	const transform = context.getTransform();
-	transform.e = canvas.width / 2;
-	transform.f = canvas.height / 2;
-	transform.c *= AXIS_FACTOR.x;
-	transform.d *= AXIS_FACTOR.y;
-	context.setTransform(transform);
+	camera.apply();
 });
 
 //#region Modification event
@@ -394,6 +388,108 @@ class PointerEvent extends Event {
 	}
 }
 //#endregion
+//#region Camera
+/**
+ * Represents the view of the canvas onto the world.
+ */
+class Camera {
+	/** @type {number} */
+	static #scaleMinimum = 0.1;
+	/** @type {number} */
+	static #scaleMaximum = 10;
+	/** @type {Point2D} */
+	#offset = Point2D.ZERO;
+	/**
+	 * Gets the world point at the center of the canvas.
+	 * @returns {Readonly<Point2D>} The offset of the camera.
+	 */
+	get offset() {
+		return Object.freeze(this.#offset.clone());
+	}
+	/**
+	 * Sets the world point at the center of the canvas.
+	 * @param {Readonly<Point2D>} value The new offset.
+	 * @returns {void}
+	 */
+	set offset(value) {
+		this.#offset = value.clone();
+		this.apply();
+	}
+	/** @type {number} */
+	#scale = 1;
+	/**
+	 * Gets the number of canvas pixels per world unit.
+	 * @returns {number} The scale of the camera.
+	 */
+	get scale() {
+		return this.#scale;
+	}
+	/**
+	 * Sets the number of canvas pixels per world unit, clamped to the supported range.
+	 * @param {number} value The new scale.
+	 * @returns {void}
+	 * @throws {TypeError} If the value is not finite positive number.
+	 */
+	set scale(value) {
+		if (!Number.isFinite(value) || value <= 0) throw new TypeError(`Scale ${value} is not finite positive number`);
+		this.#scale = min(max(value, Camera.#scaleMinimum), Camera.#scaleMaximum);
+		this.apply();
+	}
+	/**
+	 * Converts a point relative to the canvas center into the world.
+	 * @param {Readonly<Point2D>} point The point on the canvas.
+	 * @returns {Point2D} The point in the world.
+	 */
+	toWorld(point) {
+		return point["/"](Point2D.repeat(this.#scale))["+"](this.#offset);
+	}
+	/**
+	 * Converts a point in the world into the point relative to the canvas center.
+	 * @param {Readonly<Point2D>} point The point in the world.
+	 * @returns {Point2D} The point on the canvas.
+	 */
+	toCanvas(point) {
+		return point["-"](this.#offset)["*"](Point2D.repeat(this.#scale));
+	}
+	/**
+	 * Changes the scale by the factor, keeping the world point at the same place on the canvas.
+	 * @param {Readonly<Point2D>} point The fixed point in the world.
+	 * @param {number} factor The factor of scaling.
+	 * @returns {void}
+	 */
+	zoomAt(point, factor) {
+		const pointCanvas = this.toCanvas(point);
+		this.scale = this.#scale * factor;
+		this.offset = point["-"](pointCanvas["/"](Point2D.repeat(this.#scale)));
+	}
+	/**
+	 * Centers the camera on the world area and scales it to fit the canvas.
+	 * @param {Readonly<Point2D>} begin The lower corner of the area.
+	 * @param {Readonly<Point2D>} end The upper corner of the area.
+	 * @returns {void}
+	 */
+	fit(begin, end) {
+		const size = end["-"](begin);
+		this.scale = min(canvas.width / size.x, canvas.height / size.y);
+		this.offset = begin["+"](end)["/"](Point2D.CONSTANT_DOUBLE);
+	}
+	/**
+	 * Applies the camera to the transform of the canvas context.
+	 * @returns {void}
+	 */
+	apply() {
+		const scale = Point2D.repeat(this.#scale)["*"](AXIS_FACTOR);
+		const translation = new Point2D(canvas.width / 2, canvas.height / 2)["-"](this.#offset["*"](scale));
+		context.setTransform(scale.x, 0, 0, scale.y, translation.x, translation.y);
+	}
+}
+
+/**
+ * Camera of the canvas.
+ * @type {Camera}
+ */
+const camera = new Camera();
+//#endregion
 //#region Progenitor
 /**
  * @typedef VirtualProgenitorEventMap
@@ -616,7 +712,7 @@ class Progenitor extends Node {
 		const pointClientPosition = new Point2D(x, y);
 		const { x: xOffset, y: yOffset, width, height } = canvas.getBoundingClientRect();
 		const pointCanvasOffset = new Point2D(-xOffset - width / 2, -yOffset - height / 2);
-		this.#pointPointerPosition = Object.freeze(pointClientPosition["+"](pointCanvasOffset)["*"](AXIS_FACTOR));
+		this.#pointPointerPosition = Object.freeze(camera.toWorld(pointClientPosition["+"](pointCanvasOffset)["*"](AXIS_FACTOR)));
 	}
 	/**
 	 * @param {TouchEvent} event 
@@ -629,7 +725,7 @@ class Progenitor extends Node {
 		const pointClientPosition = new Point2D(x, y);
 		const { x: xOffset, y: yOffset, width, height } = canvas.getBoundingClientRect();
 		const pointCanvasOffset = new Point2D(-xOffset - width / 2, -yOffset - height / 2);
-		this.#pointPointerPosition = Object.freeze(pointClientPosition["+"](pointCanvasOffset)["*"](AXIS_FACTOR));
+		this.#pointPointerPosition = Object.freeze(camera.toWorld(pointClientPosition["+"](pointCanvasOffset)["*"](AXIS_FACTOR)));
 	}
 }
 //#endregion
@@ -640,4 +736,4 @@ class Progenitor extends Node {
  */
 const progenitor = Progenitor.instance;
 
-export { canvas, context, ModificationEvent, Group, Node, PointerEvent, progenitor };
\ No newline at end of file
+export { canvas, context, camera, Camera, ModificationEvent, Group, Node, PointerEvent, progenitor };
\ No newline at end of file
@@ -227,8 +227,10 @@ class Renderer {
 	 * @returns {void}
 	 */
 	static clear() {
-		const { e: x, f: y } = context.getTransform();
-		context.clearRect(-x, -y, canvas.width, canvas.height);
+		context.save();
+		context.resetTransform();
+		context.clearRect(0, 0, canvas.width, canvas.height);
+		context.restore();
 	}
 }
 //#endregion
@@ -0,0 +1,1616 @@
+"use strict";
+
+import { StrictMap } from "./Modules/Extensions.js";
+import { Matrix, Point2D } from "./Modules/Measures.js";
+import { Color } from "./Modules/Palette.js";
+import { Graph } from "./Structure.js";
+
+/** @typedef {import("./Structure.js").VertexAttributes} VertexAttributes */
+/** @typedef {import("./Structure.js").GraphAdjacency} GraphAdjacency */
+
+//#region Format error
+/**
+ * A syntax error of a format that knows the line and column it is found at, both counted from 1.
+ */
+class FormatError extends SyntaxError {
+	/**
+	 * Finds the line and column of the offset in the text.
+	 * @param {string} text
+	 * @param {number} offset
+	 * @returns {[number, number]}
+	 */
+	static locate(text, offset) {
+		const lines = text.slice(0, offset).split(`\n`);
+		return [lines.length, lines[lines.length - 1].length + 1];
+	}
+	/**
+	 * @param {string} message
+	 * @param {number} line
+	 * @param {number} column
+	 * @param {ErrorOptions} [options]
+	 */
+	constructor(message, line, column, options) {
+		super(`${message} at line ${line}, column ${column}`, options);
+		this.#line = line;
+		this.#column = column;
+	}
+	/** @type {number} */
+	#line;
+	/**
+	 * @readonly
+	 * @returns {number}
+	 */
+	get line() {
+		return this.#line;
+	}
+	/** @type {number} */
+	#column;
+	/**
+	 * @readonly
+	 * @returns {number}
+	 */
+	get column() {
+		return this.#column;
+	}
+}
+//#endregion
+//#region Graph format
+/**
+ * @abstract
+ */
+class GraphFormat {
+	/**
+	 * @readonly
+	 * @abstract
+	 * @returns {string}
+	 */
+	get name() {
+		throw new ReferenceError(`Not implemented function`);
+	}
+	/**
+	 * @readonly
+	 * @abstract
+	 * @returns {string}
+	 */
+	get extension() {
+		throw new ReferenceError(`Not implemented function`);
+	}
+	/**
+	 * @readonly
+	 * @abstract
+	 * @returns {string}
+	 */
+	get type() {
+		throw new ReferenceError(`Not implemented function`);
+	}
+	/**
+	 * Whether the format holds the indices and attributes of the vertices, so that reading the written text gives back the same graph.
+	 * @readonly
+	 * @abstract
+	 * @returns {boolean}
+	 */
+	get lossless() {
+		throw new ReferenceError(`Not implemented function`);
+	}
+	/**
+	 * @abstract
+	 * @param {string} text
+	 * @returns {Graph}
+	 * @throws {SyntaxError}
+	 */
+	parse(text) {
+		throw new ReferenceError(`Not implemented function`);
+	}
+	/**
+	 * @abstract
+	 * @param {Graph} graph
+	 * @returns {string}
+	 */
+	stringify(graph) {
+		throw new ReferenceError(`Not implemented function`);
+	}
+}
+//#endregion
+//#region Identifiers
+/**
+ * @param {string} id
+ * @returns {boolean}
+ */
+function isIndexIdentifier(id) {
+	return /^-?\d+$/.test(id);
+}
+
+/**
+ * Maps identifiers onto vertex indices, keeping the integer ones and numbering the rest from the lowest free index.
+ * @param {Iterable<string>} ids
+ * @returns {StrictMap<string, number>}
+ */
+function indexIdentifiers(ids) {
+	const array = Array.from(ids);
+	/** @type {StrictMap<string, number>} */
+	const indices = new StrictMap();
+	for (const id of array) {
+		if (isIndexIdentifier(id)) indices.set(id, Number(id));
+	}
+	const reserved = new Set(Array.from(indices, ([, index]) => index));
+	let counter = 0;
+	for (const id of array) {
+		if (indices.has(id)) continue;
+		while (reserved.has(counter)) ++counter;
+		indices.set(id, counter);
+		reserved.add(counter);
+	}
+	return indices;
+}
+//#endregion
+//#region JSON format
+class JSONFormat extends GraphFormat {
+	/**
+	 * @readonly
+	 * @returns {string}
+	 */
+	get name() {
+		return `JSON`;
+	}
+	/**
+	 * @readonly
+	 * @returns {string}
+	 */
+	get extension() {
+		return `json`;
+	}
+	/**
+	 * @readonly
+	 * @returns {string}
+	 */
+	get type() {
+		return `application/json`;
+	}
+	/**
+	 * @readonly
+	 * @returns {boolean}
+	 */
+	get lossless() {
+		return true;
+	}
+	/**
+	 * @param {string} text
+	 * @returns {Graph}
+	 * @throws {SyntaxError}
+	 * @throws {TypeError}
+	 */
+	parse(text) {
+		/** @type {unknown} */
+		let source;
+		try {
+			source = JSON.parse(text);
+		} catch (error) {
+			const offset = JSONFormat.#findBreak(text);
+			const reason = (offset < text.length ? `Unexpected '${text[offset]}'` : `Unexpected end of input`);
+			throw new FormatError(reason, ...FormatError.locate(text, offset), { cause: error });
+		}
+		return Graph.import(source);
+	}
+	/**
+	 * Finds the offset where the notation breaks by the shortest prefix that can't be completed anymore, as the engines don't tell it the same way.
+	 * @param {string} text
+	 * @returns {number}
+	 */
+	static #findBreak(text) {
+		/**
+		 * @param {number} length
+		 * @returns {boolean}
+		 */
+		function isBroken(length) {
+			try {
+				JSON.parse(text.slice(0, length));
+				return false;
+			} catch (error) {
+				const { message } = Error.generate(error);
+				const position = /at position (\d+)/.exec(message);
+				return !(/end of (JSON input|data)/i.test(message) || (position !== null && Number(position[1]) >= length));
+			}
+		}
+		let [begin, end] = [0, text.length];
+		if (!isBroken(end)) return text.length;
+		while (begin < end) {
+			const middle = (begin + end) >> 1;
+			if (isBroken(middle)) end = middle;
+			else begin = middle + 1;
+		}
+		return end - 1;
+	}
+	/**
+	 * @param {Graph} graph
+	 * @returns {string}
+	 */
+	stringify(graph) {
+		return JSON.stringify(graph.export(), undefined, `\t`);
+	}
+}
+//#endregion
+//#region DOT format
+/**
+ * @typedef {`identifier` | `punctuator` | `end`} DOTTokenKind
+ */
+
+/**
+ * @typedef DOTToken
+ * @property {DOTTokenKind} kind
+ * @property {string} value
+ * @property {boolean} quoted
+ * @property {number} line
+ * @property {number} column
+ */
+
+/**
+ * @typedef {Map<string, DOTToken>} DOTAttributes
+ */
+
+class DOTReader {
+	/** @type {string[]} */
+	static #punctuators = [`--`, `->`, `{`, `}`, `[`, `]`, `;`, `,`, `=`, `:`];
+	/**
+	 * @param {string} text
+	 * @returns {DOTToken[]}
+	 * @throws {SyntaxError}
+	 */
+	static tokenize(text) {
+		/** @type {DOTToken[]} */
+		const tokens = [];
+		let position = 0, line = 1, column = 1;
+		/**
+		 * @param {number} count
+		 * @returns {void}
+		 */
+		function advance(count) {
+			for (let index = 0; index < count; index++) {
+				if (text[position++] === `\n`) {
+					++line;
+					column = 1;
+				} else ++column;
+			}
+		}
+		while (position < text.length) {
+			const rest = text.slice(position);
+			const [whitespace] = /^\s+/.exec(rest) ?? [``];
+			if (whitespace.length > 0) {
+				advance(whitespace.length);
+				continue;
+			}
+			if (rest.startsWith(`//`) || (rest.startsWith(`#`) && (column === 1))) {
+				const end = rest.indexOf(`\n`);
+				advance(end < 0 ? rest.length : end);
+				continue;
+			}
+			if (rest.startsWith(`/*`)) {
+				const end = rest.indexOf(`*/`, 2);
+				if (end < 0) throw new FormatError(`Unterminated comment`, line, column);
+				advance(end + 2);
+				continue;
+			}
+			const [beginLine, beginColumn] = [line, column];
+			if (rest.startsWith(`"`)) {
+				let value = ``;
+				let index = 1;
+				while (true) {
+					if (index >= rest.length) throw new FormatError(`Unterminated string`, beginLine, beginColumn);
+					const symbol = rest[index];
+					if (symbol === `"`) break;
+					if (symbol === `\\` && (rest[index + 1] === `"` || rest[index + 1] === `\\`)) {
+						value += rest[index + 1];
+						index += 2;
+					} else if (symbol === `\\` && rest[index + 1] === `\n`) {
+						index += 2;
+					} else {
+						value += symbol;
+						index += 1;
+					}
+				}
+				advance(index + 1);
+				tokens.push({ kind: `identifier`, value, quoted: true, line: beginLine, column: beginColumn });
+				continue;
+			}
+			if (rest.startsWith(`<`)) {
+				let depth = 0;
+				let index = 0;
+				do {
+					if (index >= rest.length) throw new FormatError(`Unterminated HTML string`, beginLine, beginColumn);
+					if (rest[index] === `<`) ++depth;
+					else if (rest[index] === `>`) --depth;
+					++index;
+				} while (depth > 0);
+				advance(index);
+				tokens.push({ kind: `identifier`, value: rest.slice(1, index - 1), quoted: true, line: beginLine, column: beginColumn });
+				continue;
+			}
+			const [identifier] = /^(?:-?(?:\.\d+|\d+(?:\.\d*)?)|[A-Za-z_\u0080-\uFFFF][\w\u0080-\uFFFF]*)/.exec(rest) ?? [``];
+			if (identifier.length > 0) {
+				advance(identifier.length);
+				tokens.push({ kind: `identifier`, value: identifier, quoted: false, line: beginLine, column: beginColumn });
+				continue;
+			}
+			const punctuator = DOTReader.#punctuators.find(punctuator => rest.startsWith(punctuator));
+			if (punctuator !== undefined) {
+				advance(punctuator.length);
+				tokens.push({ kind: `punctuator`, value: punctuator, quoted: false, line: beginLine, column: beginColumn });
+				continue;
+			}
+			throw new FormatError(`Unexpected symbol '${rest[0]}'`, line, column);
+		}
+		tokens.push({ kind: `end`, value: ``, quoted: false, line, column });
+		return tokens;
+	}
+	/**
+	 * @param {DOTToken[]} tokens
+	 */
+	constructor(tokens) {
+		this.#tokens = tokens;
+	}
+	/** @type {DOTToken[]} */
+	#tokens;
+	/** @type {number} */
+	#position = 0;
+	/**
+	 * @readonly
+	 * @returns {DOTToken}
+	 */
+	get peek() {
+		return this.#tokens[this.#position];
+	}
+	/**
+	 * @returns {DOTToken}
+	 */
+	next() {
+		const token = this.#tokens[this.#position];
+		if (token.kind !== `end`) ++this.#position;
+		return token;
+	}
+	/**
+	 * @param {string} value
+	 * @param {number} offset
+	 * @returns {boolean}
+	 */
+	isPunctuator(value, offset = 0) {
+		const token = this.#tokens[Math.min(this.#position + offset, this.#tokens.length - 1)];
+		return (token.kind === `punctuator` && token.value === value);
+	}
+	/**
+	 * @param {string} value
+	 * @returns {boolean}
+	 */
+	isKeyword(value) {
+		const token = this.peek;
+		return (token.kind === `identifier` && !token.quoted && token.value.toLowerCase() === value);
+	}
+	/**
+	 * @param {string} value
+	 * @returns {DOTToken}
+	 * @throws {SyntaxError}
+	 */
+	expectPunctuator(value) {
+		if (!this.isPunctuator(value)) throw this.unexpected(`'${value}'`);
+		return this.next();
+	}
+	/**
+	 * @returns {DOTToken}
+	 * @throws {SyntaxError}
+	 */
+	expectIdentifier() {
+		if (this.peek.kind !== `identifier`) throw this.unexpected(`identifier`);
+		return this.next();
+	}
+	/**
+	 * @param {string} expectation
+	 * @returns {SyntaxError}
+	 */
+	unexpected(expectation) {
+		const token = this.peek;
+		const found = (token.kind === `end` ? `end of input` : `'${token.value}'`);
+		return new FormatError(`Expected ${expectation} but found ${found}`, token.line, token.column);
+	}
+}
+
+class DOTFormat extends GraphFormat {
+	/**
+	 * @readonly
+	 * @returns {string}
+	 */
+	get name() {
+		return `DOT`;
+	}
+	/**
+	 * @readonly
+	 * @returns {string}
+	 */
+	get extension() {
+		return `dot`;
+	}
+	/**
+	 * @readonly
+	 * @returns {string}
+	 */
+	get type() {
+		return `text/vnd.graphviz`;
+	}
+	/**
+	 * @readonly
+	 * @returns {boolean}
+	 */
+	get lossless() {
+		return true;
+	}
+	/**
+	 * @param {string} text
+	 * @returns {Graph}
+	 * @throws {SyntaxError}
+	 */
+	parse(text) {
+		const reader = new DOTReader(DOTReader.tokenize(text));
+		if (reader.isKeyword(`strict`)) reader.next();
+		/** @type {boolean} */
+		let directed;
+		if (reader.isKeyword(`graph`)) directed = false;
+		else if (reader.isKeyword(`digraph`)) directed = true;
+		else throw reader.unexpected(`'graph' or 'digraph'`);
+		reader.next();
+		if (reader.peek.kind === `identifier`) reader.next();
+
+		/** @type {StrictMap<string, DOTAttributes>} */
+		const nodes = new StrictMap();
+		/** @type {[string, string, DOTAttributes][]} */
+		const edges = [];
+		/** @type {Set<string>[]} */
+		const scopes = [];
+		/** @type {DOTAttributes[]} */
+		const defaultsNode = [new Map()];
+		/** @type {DOTAttributes[]} */
+		const defaultsEdge = [new Map()];
+
+		/**
+		 * @param {string} id
+		 * @returns {void}
+		 */
+		function mention(id) {
+			if (!nodes.has(id)) nodes.set(id, new Map(defaultsNode[defaultsNode.length - 1]));
+			for (const scope of scopes) scope.add(id);
+		}
+		/**
+		 * @returns {DOTAttributes}
+		 * @throws {SyntaxError}
+		 */
+		function readAttributes() {
+			/** @type {DOTAttributes} */
+			const attributes = new Map();
+			while (reader.isPunctuator(`[`)) {
+				reader.next();
+				while (!reader.isPunctuator(`]`)) {
+					const key = reader.expectIdentifier();
+					reader.expectPunctuator(`=`);
+					attributes.set(key.value, reader.expectIdentifier());
+					if (reader.isPunctuator(`;`) || reader.isPunctuator(`,`)) reader.next();
+				}
+				reader.next();
+			}
+			return attributes;
+		}
+		/**
+		 * @returns {string}
+		 * @throws {SyntaxError}
+		 */
+		function readNode() {
+			const id = reader.expectIdentifier().value;
+			// Ports and compass points don't affect the structure.
+			for (let count = 0; count < 2 && reader.isPunctuator(`:`); count++) {
+				reader.next();
+				reader.expectIdentifier();
+			}
+			return id;
+		}
+		/**
+		 * @returns {Set<string>}
+		 * @throws {SyntaxError}
+		 */
+		function readSubgraph() {
+			if (reader.isKeyword(`subgraph`)) {
+				reader.next();
+				if (reader.peek.kind === `identifier`) reader.next();
+			}
+			reader.expectPunctuator(`{`);
+			/** @type {Set<string>} */
+			const scope = new Set();
+			scopes.push(scope);
+			defaultsNode.push(new Map(defaultsNode[defaultsNode.length - 1]));
+			defaultsEdge.push(new Map(defaultsEdge[defaultsEdge.length - 1]));
+			readStatements();
+			reader.expectPunctuator(`}`);
+			defaultsEdge.pop();
+			defaultsNode.pop();
+			scopes.pop();
+			return scope;
+		}
+		/**
+		 * @returns {Set<string>}
+		 * @throws {SyntaxError}
+		 */
+		function readOperand() {
+			if (reader.isKeyword(`subgraph`) || reader.isPunctuator(`{`)) return readSubgraph();
+			const id = readNode();
+			mention(id);
+			return new Set([id]);
+		}
+		/**
+		 * @returns {void}
+		 * @throws {SyntaxError}
+		 */
+		function readStatements() {
+			while (!reader.isPunctuator(`}`) && reader.peek.kind !== `end`) {
+				if (reader.isKeyword(`node`) || reader.isKeyword(`edge`) || reader.isKeyword(`graph`)) {
+					const keyword = reader.next().value.toLowerCase();
+					const attributes = readAttributes();
+					const defaults = (keyword === `node` ? defaultsNode : keyword === `edge` ? defaultsEdge : null);
+					if (defaults !== null) {
+						for (const [key, value] of attributes) defaults[defaults.length - 1].set(key, value);
+					}
+				} else if (reader.peek.kind === `identifier` && reader.isPunctuator(`=`, 1)) {
+					// Graph attributes don't affect the structure.
+					reader.next();
+					reader.next();
+					reader.expectIdentifier();
+				} else {
+					/** @type {Set<string>[]} */
+					const operands = [readOperand()];
+					while (reader.isPunctuator(`--`) || reader.isPunctuator(`->`)) {
+						const operator = reader.next();
+						if ((operator.value === `->`) !== directed) throw new FormatError(`Operator '${operator.value}' is not allowed in ${directed ? `directed` : `undirected`} graph`, operator.line, operator.column);
+						operands.push(readOperand());
+					}
+					const attributes = readAttributes();
+					if (operands.length < 2) {
+						for (const id of operands[0]) {
+							const node = nodes.get(id);
+							for (const [key, value] of attributes) node.set(key, value);
+						}
+					}
+					for (let index = 1; index < operands.length; index++) {
+						for (const from of operands[index - 1]) {
+							for (const to of operands[index]) {
+								edges.push([from, to, new Map([...defaultsEdge[defaultsEdge.length - 1], ...attributes])]);
+							}
+						}
+					}
+				}
+				if (reader.isPunctuator(`;`) || reader.isPunctuator(`,`)) reader.next();
+			}
+		}
+
+		reader.expectPunctuator(`{`);
+		readStatements();
+		reader.expectPunctuator(`}`);
+		if (reader.peek.kind !== `end`) throw reader.unexpected(`end of input`);
+
+		const graph = new Graph();
+		graph.directed = directed;
+		const indices = indexIdentifiers(nodes.keys());
+		for (const [id, node] of nodes) {
+			const index = indices.get(id);
+			if (graph.vertices.has(index)) continue;
+			graph.addVertex(index);
+			/** @type {VertexAttributes} */
+			const attributes = {};
+			const label = node.get(`label`);
+			if (label !== undefined) attributes.label = label.value;
+			else if (!isIndexIdentifier(id)) attributes.label = id;
+			const color = node.get(`color`);
+			if (color !== undefined) attributes.color = color.value;
+			const pos = node.get(`pos`);
+			if (pos !== undefined) {
+				const match = /^\s*(-?[\d.]+(?:e-?\d+)?)\s*,\s*(-?[\d.]+(?:e-?\d+)?)\s*!?\s*$/i.exec(pos.value);
+				if (match === null) throw new FormatError(`Position '${pos.value}' is not a pair of coordinates`, pos.line, pos.column);
+				attributes.x = Number(match[1]);
+				attributes.y = Number(match[2]);
+			}
+			const data = Array.from(node).filter(([key]) => key !== `label` && key !== `color` && key !== `pos`);
+			if (data.length > 0) attributes.data = Object.fromEntries(data.map(([key, token]) => [key, token.value]));
+			graph.setAttributesOf(index, attributes);
+		}
+		for (const [idFrom, idTo, attributes] of edges) {
+			const [from, to] = [indices.get(idFrom), indices.get(idTo)];
+			if (graph.hasEdge(from, to)) continue;
+			const token = attributes.get(`weight`);
+			const weight = (token === undefined ? 1 : Number(token.value));
+			if (token !== undefined && (String.isEmpty(token.value.trim()) || !Number.isFinite(weight))) throw new FormatError(`Weight '${token.value}' is not finite number`, token.line, token.column);
+			graph.addEdge(from, to, weight);
+		}
+		return graph;
+	}
+	/**
+	 * @param {string} text
+	 * @returns {string}
+	 */
+	static #quote(text) {
+		return `"${text.replace(/\\/g, `\\\\`).replace(/"/g, `\\"`)}"`;
+	}
+	/**
+	 * @param {Graph} graph
+	 * @returns {string}
+	 */
+	stringify(graph) {
+		const operator = (graph.directed ? `->` : `--`);
+		const lines = [`${graph.directed ? `digraph` : `graph`} {`];
+		for (const index of graph.vertices) {
+			const { x, y, label, color, data = {} } = graph.getAttributesOf(index);
+			/** @type {string[]} */
+			const attributes = [];
+			if (label !== undefined) attributes.push(`label=${DOTFormat.#quote(label)}`);
+			if (x !== undefined && y !== undefined) attributes.push(`pos="${x},${y}"`);
+			if (color !== undefined) attributes.push(`color=${DOTFormat.#quote(color)}`);
+			for (const [key, value] of Object.entries(data)) attributes.push(`${DOTFormat.#quote(key)}=${DOTFormat.#quote(value)}`);
+			lines.push(`\t${index}${attributes.length > 0 ? ` [${attributes.join(`, `)}]` : ``};`);
+		}
+		for (const [from, to] of graph.edges) {
+			const weight = graph.getWeightOf(from, to);
+			lines.push(`\t${from} ${operator} ${to}${weight === 1 ? `` : ` [weight=${weight}]`};`);
+		}
+		lines.push(`}`);
+		return lines.join(`\n`);
+	}
+}
+//#endregion
+//#region XML
+/**
+ * @param {string} text
+ * @returns {Element}
+ * @throws {SyntaxError}
+ */
+function parseXML(text) {
+	const document = new DOMParser().parseFromString(text, `application/xml`);
+	const error = document.getElementsByTagName(`parsererror`)[0];
+	if (error !== undefined) {
+		const message = `Invalid XML document: ${error.textContent}`;
+		const place = /line(?: number)? (\d+),? (?:at )?column (\d+)|(\d+):(\d+):/i.exec(message);
+		if (place !== null) throw new FormatError(message, Number(place[1] ?? place[3]), Number(place[2] ?? place[4]));
+		throw new SyntaxError(message);
+	}
+	return document.documentElement;
+}
+
+/**
+ * @param {Element} element
+ * @param {string} name
+ * @returns {Element[]}
+ */
+function getChildrenOf(element, name) {
+	return Array.from(element.childNodes).filter(node => node instanceof Element && node.localName === name).map(node => (/** @type {Element} */ (node)));
+}
+
+/**
+ * @param {Element} element
+ * @param {string} name
+ * @returns {string}
+ * @throws {TypeError}
+ */
+function getRequiredAttribute(element, name) {
+	const value = element.getAttribute(name);
+	if (value === null) throw new TypeError(`Unable to import ${element.localName} due its missing ${name} attribute`);
+	return value;
+}
+
+/**
+ * @param {string} value
+ * @param {string} name
+ * @returns {number}
+ * @throws {TypeError}
+ */
+function importNumeric(value, name) {
+	const result = Number(value);
+	if (String.isEmpty(value.trim()) || !Number.isFinite(result)) throw new TypeError(`Unable to import ${name} due its non-numeric value '${value}'`);
+	return result;
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXML(text) {
+	return text.replace(/[&<>"']/g, symbol => `&#${symbol.charCodeAt(0)};`);
+}
+
+/**
+ * Lists the names in the attribute bags of the vertices in the order they first appear.
+ * @param {Graph} graph
+ * @returns {string[]}
+ */
+function getDataNames(graph) {
+	/** @type {Set<string>} */
+	const names = new Set();
+	for (const index of graph.vertices) {
+		for (const name of Object.keys(graph.getAttributesOf(index).data ?? {})) {
+			names.add(name);
+		}
+	}
+	return Array.from(names);
+}
+
+/**
+ * @param {Graph} graph
+ * @param {Map<number, VertexAttributes>} attributes
+ * @param {[number, number, number][]} edges
+ * @returns {void}
+ * @throws {TypeError}
+ */
+function fillGraph(graph, attributes, edges) {
+	for (const [index, vertex] of attributes) {
+		if (graph.vertices.has(index)) continue;
+		graph.addVertex(index);
+		graph.setAttributesOf(index, vertex);
+	}
+	for (const [from, to, weight] of edges) {
+		if (!graph.vertices.has(from) || !graph.vertices.has(to)) throw new TypeError(`Unable to import edge ${from}-${to} due its undeclared endpoint`);
+		if (graph.hasEdge(from, to)) continue;
+		graph.addEdge(from, to, weight);
+	}
+}
+//#endregion
+//#region GraphML format
+class GraphMLFormat extends GraphFormat {
+	/** @type {Set<string>} */
+	static #known = new Set([`label`, `x`, `y`, `color`, `r`, `g`, `b`, `weight`]);
+	/**
+	 * @readonly
+	 * @returns {string}
+	 */
+	get name() {
+		return `GraphML`;
+	}
+	/**
+	 * @readonly
+	 * @returns {string}
+	 */
+	get extension() {
+		return `graphml`;
+	}
+	/**
+	 * @readonly
+	 * @returns {string}
+	 */
+	get type() {
+		return `application/graphml+xml`;
+	}
+	/**
+	 * @readonly
+	 * @returns {boolean}
+	 */
+	get lossless() {
+		return true;
+	}
+	/**
+	 * @param {string} text
+	 * @returns {Graph}
+	 * @throws {SyntaxError}
+	 * @throws {TypeError}
+	 */
+	parse(text) {
+		const root = parseXML(text);
+		if (root.localName !== `graphml`) throw new TypeError(`Unable to import document due its ${root.localName} root`);
+		/** @type {Map<string, string>} */
+		const names = new Map();
+		/** @type {Map<string, string>} */
+		const domains = new Map();
+		/** @type {Map<string, string>} */
+		const defaults = new Map();
+		for (const key of getChildrenOf(root, `key`)) {
+			const id = getRequiredAttribute(key, `id`);
+			names.set(id, key.getAttribute(`attr.name`) ?? id);
+			domains.set(id, key.getAttribute(`for`) ?? `all`);
+			const [initial] = getChildrenOf(key, `default`);
+			if (initial !== undefined) defaults.set(id, initial.textContent ?? ``);
+		}
+		const graphs = getChildrenOf(root, `graph`);
+		if (graphs.length !== 1) throw new TypeError(`Unable to import document due its ${graphs.length} graphs`);
+		const [element] = graphs;
+		if (getChildrenOf(element, `hyperedge`).length > 0) throw new TypeError(`Unable to import hyperedge due its unsupported type`);
+		const directed = (getRequiredAttribute(element, `edgedefault`) === `directed`);
+
+		/**
+		 * Reads the data of the element by the names of their keys, with the known names in lower case.
+		 * @param {Element} owner
+		 * @param {string} domain
+		 * @returns {Map<string, string>}
+		 */
+		function readData(owner, domain) {
+			/** @type {Map<string, string>} */
+			const data = new Map();
+			/**
+			 * @param {string} id
+			 * @returns {string}
+			 */
+			const getName = (id) => {
+				const name = names.get(id) ?? id;
+				return (GraphMLFormat.#known.has(name.toLowerCase()) ? name.toLowerCase() : name);
+			};
+			for (const [id, value] of defaults) {
+				const domainKey = domains.get(id) ?? `all`;
+				if (domainKey === domain || domainKey === `all`) data.set(getName(id), value);
+			}
+			for (const item of getChildrenOf(owner, `data`)) {
+				const id = getRequiredAttribute(item, `key`);
+				const name = getName(id);
+				// Drawing extensions such as yEd nest the geometry and the label inside the data.
+				const [geometry] = Array.from(item.getElementsByTagNameNS(`*`, `Geometry`));
+				const [label] = Array.from(item.getElementsByTagNameNS(`*`, `NodeLabel`));
+				if (geometry !== undefined) {
+					const width = importNumeric(geometry.getAttribute(`width`) ?? `0`, `property width`);
+					const height = importNumeric(geometry.getAttribute(`height`) ?? `0`, `property height`);
+					data.set(`x`, `${importNumeric(getRequiredAttribute(geometry, `x`), `property x`) + width / 2}`);
+					data.set(`y`, `${-(importNumeric(getRequiredAttribute(geometry, `y`), `property y`) + height / 2)}`);
+					if (label !== undefined) data.set(`label`, (label.textContent ?? ``).trim());
+				} else data.set(name, item.textContent ?? ``);
+			}
+			return data;
+		}
+
+		const nodes = getChildrenOf(element, `node`);
+		const indices = indexIdentifiers(nodes.map(node => getRequiredAttribute(node, `id`)));
+		/** @type {Map<number, VertexAttributes>} */
+		const vertices = new Map();
+		for (const node of nodes) {
+			if (getChildrenOf(node, `graph`).length > 0) throw new TypeError(`Unable to import nested graph due its unsupported hierarchy`);
+			const id = getRequiredAttribute(node, `id`);
+			const data = readData(node, `node`);
+			/** @type {VertexAttributes} */
+			const attributes = {};
+			const label = data.get(`label`);
+			if (label !== undefined) attributes.label = label;
+			else if (!isIndexIdentifier(id)) attributes.label = id;
+			const [x, y] = [data.get(`x`), data.get(`y`)];
+			if (x !== undefined && y !== undefined) {
+				attributes.x = importNumeric(x, `property x`);
+				attributes.y = importNumeric(y, `property y`);
+			}
+			const color = data.get(`color`);
+			const [r, g, b] = [data.get(`r`), data.get(`g`), data.get(`b`)];
+			if (color !== undefined) attributes.color = color;
+			else if (r !== undefined && g !== undefined && b !== undefined) {
+				attributes.color = Color.viaRGB(importNumeric(r, `property r`), importNumeric(g, `property g`), importNumeric(b, `property b`)).toString();
+			}
+			const bag = Array.from(data).filter(([name]) => !GraphMLFormat.#known.has(name));
+			if (bag.length > 0) attributes.data = Object.fromEntries(bag);
+			vertices.set(indices.get(id), attributes);
+		}
+		/** @type {[number, number, number][]} */
+		const edges = [];
+		for (const edge of getChildrenOf(element, `edge`)) {
+			const [source, target] = [getRequiredAttribute(edge, `source`), getRequiredAttribute(edge, `target`)];
+			const orientation = edge.getAttribute(`directed`);
+			if (orientation !== null && (orientation === `true`) !== directed) throw new TypeError(`Unable to import edge ${source}-${target} due its mixed direction`);
+			if (!indices.has(source) || !indices.has(target)) throw new TypeError(`Unable to import edge ${source}-${target} due its undeclared endpoint`);
+			const weight = readData(edge, `edge`).get(`weight`);
+			edges.push([indices.get(source), indices.get(target), (weight === undefined ? 1 : importNumeric(weight, `property weight`))]);
+		}
+		const graph = new Graph();
+		graph.directed = directed;
+		fillGraph(graph, vertices, edges);
+		return graph;
+	}
+	/**
+	 * @param {Graph} graph
+	 * @returns {string}
+	 */
+	stringify(graph) {
+		const lines = [
+			`<?xml version="1.0" encoding="UTF-8"?>`,
+			`<graphml xmlns="http://graphml.graphdrawing.org/xmlns">`,
+			`\t<key id="label" for="node" attr.name="label" attr.type="string"/>`,
+			`\t<key id="x" for="node" attr.name="x" attr.type="double"/>`,
+			`\t<key id="y" for="node" attr.name="y" attr.type="double"/>`,
+			`\t<key id="color" for="node" attr.name="color" attr.type="string"/>`,
+			`\t<key id="weight" for="edge" attr.name="weight" attr.type="double">`,
+			`\t\t<default>1</default>`,
+			`\t</key>`,
+		];
+		const names = getDataNames(graph);
+		for (const [order, name] of names.entries()) {
+			lines.push(`\t<key id="d${order}" for="node" attr.name="${escapeXML(name)}" attr.type="string"/>`);
+		}
+		lines.push(`\t<graph id="G" edgedefault="${graph.directed ? `directed` : `undirected`}">`);
+		for (const index of graph.vertices) {
+			const { x, y, label, color, data: bag = {} } = graph.getAttributesOf(index);
+			/** @type {string[]} */
+			const data = [];
+			if (label !== undefined) data.push(`\t\t\t<data key="label">${escapeXML(label)}</data>`);
+			if (x !== undefined && y !== undefined) data.push(`\t\t\t<data key="x">${x}</data>`, `\t\t\t<data key="y">${y}</data>`);
+			if (color !== undefined) data.push(`\t\t\t<data key="color">${escapeXML(color)}</data>`);
+			for (const [order, name] of names.entries()) {
+				if (bag[name] !== undefined) data.push(`\t\t\t<data key="d${order}">${escapeXML(bag[name])}</data>`);
+			}
+			if (data.length > 0) lines.push(`\t\t<node id="${index}">`, ...data, `\t\t</node>`);
+			else lines.push(`\t\t<node id="${index}"/>`);
+		}
+		for (const [from, to] of graph.edges) {
+			const weight = graph.getWeightOf(from, to);
+			if (weight !== 1) lines.push(`\t\t<edge source="${from}" target="${to}">`, `\t\t\t<data key="weight">${weight}</data>`, `\t\t</edge>`);
+			else lines.push(`\t\t<edge source="${from}" target="${to}"/>`);
+		}
+		lines.push(`\t</graph>`, `</graphml>`);
+		return lines.join(`\n`);
+	}
+}
+//#endregion
+//#region GEXF format
+class GEXFFormat extends GraphFormat {
+	/**
+	 * @readonly
+	 * @returns {string}
+	 */
+	get name() {
+		return `GEXF`;
+	}
+	/**
+	 * @readonly
+	 * @returns {string}
+	 */
+	get extension() {
+		return `gexf`;
+	}
+	/**
+	 * @readonly
+	 * @returns {string}
+	 */
+	get type() {
+		return `application/gexf+xml`;
+	}
+	/**
+	 * The colors are kept only as their red, green and blue components.
+	 * @readonly
+	 * @returns {boolean}
+	 */
+	get lossless() {
+		return false;
+	}
+	/**
+	 * @param {string} text
+	 * @returns {Graph}
+	 * @throws {SyntaxError}
+	 * @throws {TypeError}
+	 */
+	parse(text) {
+		const root = parseXML(text);
+		if (root.localName !== `gexf`) throw new TypeError(`Unable to import document due its ${root.localName} root`);
+		const graphs = getChildrenOf(root, `graph`);
+		if (graphs.length !== 1) throw new TypeError(`Unable to import document due its ${graphs.length} graphs`);
+		const [element] = graphs;
+		const directed = ((element.getAttribute(`defaultedgetype`) ?? `undirected`) === `directed`);
+		/** @type {Map<string, string>} */
+		const titles = new Map();
+		/** @type {Map<string, string>} */
+		const defaults = new Map();
+		for (const declaration of getChildrenOf(element, `attributes`).filter(list => list.getAttribute(`class`) === `node`)) {
+			for (const attribute of getChildrenOf(declaration, `attribute`)) {
+				const id = getRequiredAttribute(attribute, `id`);
+				titles.set(id, attribute.getAttribute(`title`) ?? id);
+				const [initial] = getChildrenOf(attribute, `default`);
+				if (initial !== undefined) defaults.set(id, initial.textContent ?? ``);
+			}
+		}
+		const nodes = getChildrenOf(element, `nodes`).flatMap(list => getChildrenOf(list, `node`));
+		const indices = indexIdentifiers(nodes.map(node => getRequiredAttribute(node, `id`)));
+		/** @type {Map<number, VertexAttributes>} */
+		const vertices = new Map();
+		for (const node of nodes) {
+			if (node.hasAttribute(`pid`) || getChildrenOf(node, `nodes`).length > 0 || getChildrenOf(node, `parents`).length > 0) throw new TypeError(`Unable to import nested node due its unsupported hierarchy`);
+			const id = getRequiredAttribute(node, `id`);
+			/** @type {VertexAttributes} */
+			const attributes = {};
+			const label = node.getAttribute(`label`);
+			if (label !== null && label !== id) attributes.label = label;
+			else if (!isIndexIdentifier(id)) attributes.label = id;
+			const [position] = getChildrenOf(node, `position`);
+			if (position !== undefined) {
+				attributes.x = importNumeric(getRequiredAttribute(position, `x`), `property x`);
+				attributes.y = importNumeric(getRequiredAttribute(position, `y`), `property y`);
+			}
+			const [color] = getChildrenOf(node, `color`);
+			if (color !== undefined) {
+				const [r, g, b] = [`r`, `g`, `b`].map(name => importNumeric(getRequiredAttribute(color, name), `property ${name}`));
+				attributes.color = Color.viaRGB(r, g, b).toString();
+			}
+			/** @type {Map<string, string>} */
+			const data = new Map(defaults);
+			for (const value of getChildrenOf(node, `attvalues`).flatMap(list => getChildrenOf(list, `attvalue`))) {
+				data.set(getRequiredAttribute(value, `for`), getRequiredAttribute(value, `value`));
+			}
+			if (data.size > 0) attributes.data = Object.fromEntries(Array.from(data, ([id, value]) => [titles.get(id) ?? id, value]));
+			vertices.set(indices.get(id), attributes);
+		}
+		/** @type {[number, number, number][]} */
+		const edges = [];
+		for (const edge of getChildrenOf(element, `edges`).flatMap(list => getChildrenOf(list, `edge`))) {
+			const [source, target] = [getRequiredAttribute(edge, `source`), getRequiredAttribute(edge, `target`)];
+			const orientation = edge.getAttribute(`type`);
+			if (orientation !== null && (orientation === `directed`) !== directed) throw new TypeError(`Unable to import edge ${source}-${target} due its mixed direction`);
+			if (!indices.has(source) || !indices.has(target)) throw new TypeError(`Unable to import edge ${source}-${target} due its undeclared endpoint`);
+			const weight = edge.getAttribute(`weight`);
+			edges.push([indices.get(source), indices.get(target), (weight === null ? 1 : importNumeric(weight, `property weight`))]);
+		}
+		const graph = new Graph();
+		graph.directed = directed;
+		fillGraph(graph, vertices, edges);
+		return graph;
+	}
+	/**
+	 * @param {Graph} graph
+	 * @returns {string}
+	 */
+	stringify(graph) {
+		const lines = [
+			`<?xml version="1.0" encoding="UTF-8"?>`,
+			`<gexf xmlns="http://gexf.net/1.3" xmlns:viz="http://gexf.net/1.3/viz" version="1.3">`,
+			`\t<graph mode="static" defaultedgetype="${graph.directed ? `directed` : `undirected`}">`,
+		];
+		const names = getDataNames(graph);
+		if (names.length > 0) {
+			lines.push(`\t\t<attributes class="node">`);
+			for (const [order, name] of names.entries()) {
+				lines.push(`\t\t\t<attribute id="${order}" title="${escapeXML(name)}" type="string"/>`);
+			}
+			lines.push(`\t\t</attributes>`);
+		}
+		lines.push(`\t\t<nodes>`);
+		for (const index of graph.vertices) {
+			const { x, y, label, color, data = {} } = graph.getAttributesOf(index);
+			/** @type {string[]} */
+			const visuals = [];
+			/** @type {string[]} */
+			const values = [];
+			for (const [order, name] of names.entries()) {
+				if (data[name] !== undefined) values.push(`\t\t\t\t\t<attvalue for="${order}" value="${escapeXML(data[name])}"/>`);
+			}
+			if (values.length > 0) visuals.push(`\t\t\t\t<attvalues>`, ...values, `\t\t\t\t</attvalues>`);
+			if (x !== undefined && y !== undefined) visuals.push(`\t\t\t\t<viz:position x="${x}" y="${y}" z="0"/>`);
+			const parsed = (color === undefined ? null : Color.tryParse(color));
+			if (parsed !== null) visuals.push(`\t\t\t\t<viz:color r="${parsed.red}" g="${parsed.green}" b="${parsed.blue}"/>`);
+			const opening = `\t\t\t<node id="${index}" label="${escapeXML(label ?? `${index}`)}"`;
+			if (visuals.length > 0) lines.push(`${opening}>`, ...visuals, `\t\t\t</node>`);
+			else lines.push(`${opening}/>`);
+		}
+		lines.push(`\t\t</nodes>`, `\t\t<edges>`);
+		for (const [order, [from, to]] of graph.edges.entries()) {
+			lines.push(`\t\t\t<edge id="${order}" source="${from}" target="${to}" weight="${graph.getWeightOf(from, to)}"/>`);
+		}
+		lines.push(`\t\t</edges>`, `\t</graph>`, `</gexf>`);
+		return lines.join(`\n`);
+	}
+}
+//#endregion
+//#region Matrix format
+class MatrixFormat extends GraphFormat {
+	/**
+	 * @readonly
+	 * @returns {string}
+	 */
+	get name() {
+		return `Adjacency matrix`;
+	}
+	/**
+	 * @readonly
+	 * @returns {string}
+	 */
+	get extension() {
+		return `txt`;
+	}
+	/**
+	 * @readonly
+	 * @returns {string}
+	 */
+	get type() {
+		return `text/plain`;
+	}
+	/**
+	 * @readonly
+	 * @returns {boolean}
+	 */
+	get lossless() {
+		return false;
+	}
+	/**
+	 * Reads a square matrix of weights, optionally headed by a row marked with `#` that lists the indices of the vertices in the order of the rows.
+	 * @param {string} text
+	 * @returns {Graph}
+	 * @throws {SyntaxError}
+	 * @throws {TypeError}
+	 */
+	parse(text) {
+		/** @type {number[][]} */
+		const rows = [];
+		/** @type {number[]} */
+		let row = [];
+		/** @type {number[]?} */
+		let header = null;
+		let marked = false;
+		/** @type {[number, number][]} */
+		const places = [];
+		let [line, start] = [1, 0];
+		/**
+		 * @param {number} column
+		 * @returns {void}
+		 * @throws {SyntaxError}
+		 */
+		function closeRow(column) {
+			if (marked && header === null) {
+				header = row;
+				row = [];
+				return;
+			}
+			if (row.length < 1) return;
+			const expected = header?.length ?? rows[0]?.length ?? row.length;
+			if (row.length !== expected) throw new FormatError(`Row has ${row.length} entries but expected ${expected}`, line, column);
+			rows.push(row);
+			row = [];
+		}
+		// Rows end at line breaks or at closing brackets, so both plain and nested array notations are read.
+		for (const match of text.matchAll(/(\n)|(\])|(#)|([^\s,;#[\]]+)/g)) {
+			const [, breaking, , marker, entry] = match;
+			const column = match.index - start + 1;
+			if (marker !== undefined) {
+				if (marked || rows.length > 0 || row.length > 0) throw new FormatError(`Header marker '#' is not at start of first row`, line, column);
+				marked = true;
+				continue;
+			}
+			if (entry !== undefined) {
+				const value = Number(entry);
+				if (!Number.isFinite(value)) throw new FormatError(`Entry '${entry}' is not finite number`, line, column);
+				if (marked && header === null) places.push([line, column]);
+				row.push(value);
+				continue;
+			}
+			closeRow(column);
+			if (breaking !== undefined) [line, start] = [line + 1, match.index + 1];
+		}
+		closeRow(text.length - start + 1);
+		if (header !== null) {
+			for (const [order, index] of header.entries()) {
+				const [line, column] = places[order];
+				if (!Number.isInteger(index)) throw new FormatError(`Vertex ${index} in header is not integer`, line, column);
+				if (header.indexOf(index) !== order) throw new FormatError(`Vertex ${index} in header is repeated`, line, column);
+			}
+		}
+		/** @type {Matrix<number>} */
+		const matrix = new Matrix(new Point2D(rows[0]?.length ?? 0, rows.length), 0);
+		for (const [y, row] of rows.entries()) {
+			for (const [x, value] of row.entries()) {
+				matrix.set(new Point2D(x, y), value);
+			}
+		}
+		return (header === null ? Graph.importMatrix(matrix) : Graph.importMatrix(matrix, header));
+	}
+	/**
+	 * Writes the header marked with `#` only when the indices differ from `0…n-1`, so that the plain matrix reads back as the same graph.
+	 * @param {Graph} graph
+	 * @returns {string}
+	 */
+	stringify(graph) {
+		const matrix = graph.exportMatrix();
+		const indices = Array.from(graph.vertices).sort((index1, index2) => index1 - index2);
+		/** @type {string[]} */
+		const lines = [];
+		if (indices.some((index, order) => index !== order)) lines.push(`# ${indices.join(` `)}`);
+		for (let y = 0; y < matrix.size.y; y++) {
+			/** @type {number[]} */
+			const row = [];
+			for (let x = 0; x < matrix.size.x; x++) {
+				row.push(matrix.get(new Point2D(x, y)));
+			}
+			lines.push(row.join(` `));
+		}
+		return lines.join(`\n`);
+	}
+}
+//#endregion
+//#region List format
+class ListFormat extends GraphFormat {
+	/**
+	 * @readonly
+	 * @returns {string}
+	 */
+	get name() {
+		return `Adjacency list`;
+	}
+	/**
+	 * @readonly
+	 * @returns {string}
+	 */
+	get extension() {
+		return `txt`;
+	}
+	/**
+	 * @readonly
+	 * @returns {string}
+	 */
+	get type() {
+		return `text/plain`;
+	}
+	/**
+	 * @readonly
+	 * @returns {boolean}
+	 */
+	get lossless() {
+		return false;
+	}
+	/**
+	 * Reads lines such as `0: 1 2(2.5) 3`, where the parenthesized number is the weight of the edge.
+	 * @param {string} text
+	 * @returns {Graph}
+	 * @throws {SyntaxError}
+	 * @throws {TypeError}
+	 */
+	parse(text) {
+		/** @type {Map<string, Map<string, number>>} */
+		const lists = new Map();
+		/** @type {Set<string>} */
+		const ids = new Set();
+		for (const [order, line] of text.split(/\r?\n/).entries()) {
+			if (String.isEmpty(line.trim())) continue;
+			const separator = line.indexOf(`:`);
+			if (separator < 0) throw new FormatError(`Expected ':' after vertex`, order + 1, line.length + 1);
+			const from = line.slice(0, separator).trim();
+			if (!/^[^\s:()]+$/.test(from)) throw new FormatError(`Vertex '${from}' is not valid identifier`, order + 1, line.search(/\S/) + 1);
+			ids.add(from);
+			const successors = lists.get(from) ?? new Map();
+			lists.set(from, successors);
+			const rest = line.slice(separator + 1);
+			let position = 0;
+			for (const match of rest.matchAll(/\s*([^\s:(),]+)(?:\(([^)]*)\))?\s*,?/g)) {
+				const column = separator + 2 + match.index + match[0].search(/\S/);
+				if (match.index !== position) break;
+				position = match.index + match[0].length;
+				const [, to, weight] = match;
+				if (successors.has(to)) throw new FormatError(`Vertex '${to}' is repeated`, order + 1, column);
+				const value = (weight === undefined ? 1 : Number(weight));
+				if (weight !== undefined && (String.isEmpty(weight.trim()) || !Number.isFinite(value))) throw new FormatError(`Weight '${weight}' is not finite number`, order + 1, column + to.length + 2);
+				ids.add(to);
+				successors.set(to, value);
+			}
+			if (!String.isEmpty(rest.slice(position).trim())) throw new FormatError(`Unexpected '${rest.slice(position).trim()[0]}'`, order + 1, separator + 2 + position + rest.slice(position).search(/\S/));
+		}
+		const indices = indexIdentifiers(ids);
+		/** @type {GraphAdjacency} */
+		const adjacency = new Map();
+		for (const id of ids) {
+			adjacency.set(indices.get(id), new Map(Array.from(lists.get(id) ?? [], ([to, weight]) => [indices.get(to), weight])));
+		}
+		const graph = Graph.importAdjacency(adjacency);
+		for (const id of ids) {
+			if (!isIndexIdentifier(id)) graph.setAttributesOf(indices.get(id), { label: id });
+		}
+		return graph;
+	}
+	/**
+	 * @param {Graph} graph
+	 * @returns {string}
+	 */
+	stringify(graph) {
+		return Array.from(graph.exportAdjacency(), ([from, successors]) => {
+			const targets = Array.from(successors, ([to, weight]) => (weight === 1 ? `${to}` : `${to}(${weight})`));
+			return (targets.length > 0 ? `${from}: ${targets.join(` `)}` : `${from}:`);
+		}).join(`\n`);
+	}
+}
+//#endregion
+//#region Edges format
+/**
+ * @typedef {`name` | `punctuator` | `end`} EdgesTokenKind
+ */
+
+/**
+ * @typedef EdgesToken
+ * @property {EdgesTokenKind} kind
+ * @property {string} value
+ * @property {boolean} quoted
+ * @property {number} line
+ * @property {number} column
+ */
+
+class EdgesReader {
+	/**
+	 * @param {string} text
+	 * @returns {EdgesToken[]}
+	 * @throws {SyntaxError}
+	 */
+	static tokenize(text) {
+		/** @type {EdgesToken[]} */
+		const tokens = [];
+		let line = 1, start = 0;
+		for (const match of text.matchAll(/(\n)|[^\S\n]+|(?:#|\/\/)[^\n]*|("(?:[^"\\\n]|\\.)*"?)|([\w.\u0080-\uFFFF]+)|(->|--|[-:;,])|(.)/g)) {
+			const [, breaking, quoted, name, punctuator, unknown] = match;
+			const column = match.index - start + 1;
+			if (breaking !== undefined) {
+				[line, start] = [line + 1, match.index + 1];
+			} else if (quoted !== undefined) {
+				if (quoted.length < 2 || !quoted.endsWith(`"`)) throw new FormatError(`Unterminated string`, line, column);
+				tokens.push({ kind: `name`, value: quoted.slice(1, -1).replace(/\\(.)/g, `$1`), quoted: true, line, column });
+			} else if (name !== undefined) {
+				tokens.push({ kind: `name`, value: name, quoted: false, line, column });
+			} else if (punctuator !== undefined) {
+				tokens.push({ kind: `punctuator`, value: punctuator, quoted: false, line, column });
+			} else if (unknown !== undefined) {
+				throw new FormatError(`Unexpected '${unknown}'`, line, column);
+			}
+		}
+		tokens.push({ kind: `end`, value: ``, quoted: false, line, column: text.length - start + 1 });
+		return tokens;
+	}
+	/**
+	 * @param {EdgesToken} token
+	 * @returns {string}
+	 */
+	static #describe(token) {
+		switch (token.kind) {
+			case `end`: return `end of input`;
+			case `name`: return (token.quoted ? `"${token.value}"` : `'${token.value}'`);
+			case `punctuator`: return `'${token.value}'`;
+			default: throw new TypeError(`Invalid token kind`);
+		}
+	}
+	/**
+	 * @param {string} text
+	 */
+	constructor(text) {
+		this.#tokens = EdgesReader.tokenize(text);
+	}
+	/** @type {EdgesToken[]} */
+	#tokens;
+	/** @type {number} */
+	#position = 0;
+	/**
+	 * @readonly
+	 * @returns {EdgesToken}
+	 */
+	get peek() {
+		return this.#tokens[this.#position];
+	}
+	/**
+	 * @param {number} distance
+	 * @returns {EdgesToken}
+	 */
+	lookahead(distance) {
+		return this.#tokens[Math.min(this.#position + distance, this.#tokens.length - 1)];
+	}
+	/**
+	 * @returns {EdgesToken}
+	 */
+	next() {
+		const token = this.#tokens[this.#position];
+		if (token.kind !== `end`) ++this.#position;
+		return token;
+	}
+	/**
+	 * @param {...string} values
+	 * @returns {boolean}
+	 */
+	isPunctuator(...values) {
+		const token = this.peek;
+		return (token.kind === `punctuator` && values.includes(token.value));
+	}
+	/**
+	 * @param {string} expectation
+	 * @returns {SyntaxError}
+	 */
+	unexpected(expectation) {
+		const token = this.peek;
+		return new FormatError(`Expected ${expectation} but found ${EdgesReader.#describe(token)}`, token.line, token.column);
+	}
+}
+
+class EdgesFormat extends GraphFormat {
+	/**
+	 * @readonly
+	 * @returns {string}
+	 */
+	get name() {
+		return `Edge list`;
+	}
+	/**
+	 * @readonly
+	 * @returns {string}
+	 */
+	get extension() {
+		return `txt`;
+	}
+	/**
+	 * @readonly
+	 * @returns {string}
+	 */
+	get type() {
+		return `text/plain`;
+	}
+	/**
+	 * @readonly
+	 * @returns {boolean}
+	 */
+	get lossless() {
+		return false;
+	}
+	/**
+	 * @param {string} text
+	 * @returns {boolean}
+	 */
+	static #isWeight(text) {
+		return /^(\d+\.?\d*|\.\d+)$/.test(text);
+	}
+	/**
+	 * Reads statements such as `0-1-2`, `a -> b : 5` or a lone vertex, with `#` and `//` comments up to the end of the line.
+	 * A vertex written as `2:B` or `2:"B"` gets the index 2 and the label B, by which it can be named further on.
+	 * @param {string} text
+	 * @returns {Graph}
+	 * @throws {SyntaxError}
+	 */
+	parse(text) {
+		const reader = new EdgesReader(text);
+		/** @type {Map<string, EdgesToken>} */
+		const names = new Map();
+		/** @type {Map<string, string>} */
+		const labels = new Map();
+		/** @type {Map<string, string?>} */
+		const bindings = new Map();
+		/** @type {[string, string, number][]} */
+		const edges = [];
+		/** @type {boolean?} */
+		let directed = null;
+		/**
+		 * @returns {string}
+		 * @throws {SyntaxError}
+		 */
+		const readVertex = () => {
+			if (reader.peek.kind !== `name`) throw reader.unexpected(`vertex`);
+			const token = reader.next();
+			if (!names.has(token.value)) names.set(token.value, token);
+			const following = reader.lookahead(1);
+			// Only an index takes a label, and a colon before a number is left to the weight of the edge.
+			if (!isIndexIdentifier(token.value) || !reader.isPunctuator(`:`) || following.kind !== `name` || (!following.quoted && EdgesFormat.#isWeight(following.value))) return token.value;
+			reader.next();
+			const label = reader.next();
+			const previous = labels.get(token.value);
+			if (previous !== undefined && previous !== label.value) throw new FormatError(`Vertex '${token.value}' is labeled both '${previous}' and '${label.value}'`, label.line, label.column);
+			labels.set(token.value, label.value);
+			// A label of several vertices can't name either of them.
+			bindings.set(label.value, (bindings.has(label.value) && bindings.get(label.value) !== token.value ? null : token.value));
+			return token.value;
+		};
+		while (reader.peek.kind !== `end`) {
+			if (reader.isPunctuator(`;`, `,`)) {
+				reader.next();
+				continue;
+			}
+			/** @type {string[]} */
+			const chain = [readVertex()];
+			while (reader.isPunctuator(`-`, `--`, `->`)) {
+				const connector = reader.next();
+				const arrow = (connector.value === `->`);
+				if (directed !== null && directed !== arrow) throw new FormatError(`Connector '${connector.value}' mixes directed and undirected edges`, connector.line, connector.column);
+				directed = arrow;
+				chain.push(readVertex());
+			}
+			let weight = 1;
+			if (reader.isPunctuator(`:`)) {
+				const colon = reader.next();
+				if (chain.length < 2) throw new FormatError(`Weight without edge`, colon.line, colon.column);
+				const sign = (reader.isPunctuator(`-`) ? reader.next() : null);
+				const token = reader.peek;
+				if (token.kind !== `name` || token.quoted) throw reader.unexpected(`weight`);
+				reader.next();
+				if (!EdgesFormat.#isWeight(token.value)) throw new FormatError(`Weight '${token.value}' is not finite number`, token.line, token.column);
+				weight = Number(token.value) * (sign === null ? 1 : -1);
+			}
+			for (let index = 1; index < chain.length; index++) {
+				edges.push([chain[index - 1], chain[index], weight]);
+			}
+		}
+		/** @type {Map<string, string>} */
+		const references = new Map();
+		for (const [name, token] of names) {
+			if (isIndexIdentifier(name) || !bindings.has(name)) {
+				references.set(name, name);
+				continue;
+			}
+			const id = bindings.get(name) ?? null;
+			if (id === null) throw new FormatError(`Vertex '${name}' is ambiguous as several vertices are labeled so`, token.line, token.column);
+			references.set(name, id);
+		}
+		const indices = indexIdentifiers(new Set(references.values()));
+		const graph = new Graph();
+		graph.directed = directed ?? false;
+		for (const [id, index] of indices) {
+			graph.addVertex(index);
+			const label = labels.get(id) ?? (isIndexIdentifier(id) ? undefined : id);
+			if (label !== undefined) graph.setAttributesOf(index, { label });
+		}
+		for (const [nameFrom, nameTo, weight] of edges) {
+			const [from, to] = [indices.get(references.get(nameFrom) ?? nameFrom), indices.get(references.get(nameTo) ?? nameTo)];
+			if (graph.hasEdge(from, to)) continue;
+			graph.addEdge(from, to, weight);
+		}
+		return graph;
+	}
+	/**
+	 * Declares the index of each labeled vertex at its first mention and names it by the label further on, when the label is unique.
+	 * @param {Graph} graph
+	 * @returns {string}
+	 */
+	stringify(graph) {
+		/** @type {Map<string, number>} */
+		const occurrences = new Map();
+		for (const index of graph.vertices) {
+			const { label } = graph.getAttributesOf(index);
+			if (label !== undefined) occurrences.set(label, (occurrences.get(label) ?? 0) + 1);
+		}
+		/**
+		 * @param {string} label
+		 * @returns {string}
+		 */
+		function quote(label) {
+			if (/^[\w.\u0080-\uFFFF]+$/.test(label) && !EdgesFormat.#isWeight(label)) return label;
+			return `"${label.replace(/["\\]/g, `\\$&`)}"`;
+		}
+		/** @type {Set<number>} */
+		const declarations = new Set();
+		/**
+		 * @param {number} index
+		 * @returns {string}
+		 */
+		function nominate(index) {
+			const { label } = graph.getAttributesOf(index);
+			if (label === undefined) return `${index}`;
+			if (!declarations.has(index)) {
+				declarations.add(index);
+				return `${index}:${quote(label)}`;
+			}
+			if (occurrences.get(label) !== 1 || isIndexIdentifier(label)) return `${index}`;
+			return quote(label);
+		}
+		const operator = (graph.directed ? `->` : `-`);
+		/** @type {string[]} */
+		const lines = [];
+		for (const index of graph.vertices) {
+			if (graph.getNeighborsOf(index).size > 0) continue;
+			lines.push(nominate(index));
+		}
+		for (const [from, to] of graph.edges) {
+			const weight = graph.getWeightOf(from, to);
+			lines.push(`${nominate(from)} ${operator} ${nominate(to)}${weight === 1 ? `` : ` : ${weight}`}`);
+		}
+		return lines.join(`\n`);
+	}
+}
+//#endregion
+
+/** @type {StrictMap<string, GraphFormat>} */
+const formats = new StrictMap(
+	[`json`, new JSONFormat()],
+	[`dot`, new DOTFormat()],
+	[`graphml`, new GraphMLFormat()],
+	[`gexf`, new GEXFFormat()],
+	[`matrix`, new MatrixFormat()],
+	[`list`, new ListFormat()],
+	[`edges`, new EdgesFormat()],
+);
+
+/**
+ * Guesses the key of the format the text is written in by its outward shape.
+ * @param {string} text
+ * @returns {string?}
+ */
+function detectFormat(text) {
+	const content = text.replace(/^(\s*(\/\/[^\n]*|#[^\n]*|\/\*[\s\S]*?\*\/))*/, ``).trim();
+	if (/^<(\?xml[^>]*>\s*<)?gexf\b/.test(content)) return `gexf`;
+	if (/^<(\?xml[^>]*>\s*<)?graphml\b/.test(content)) return `graphml`;
+	if (/^(strict\s+)?(di)?graph\b/i.test(content)) return `dot`;
+	if (content.startsWith(`{`)) return `json`;
+	const lines = content.split(/\r?\n/).filter(line => !String.isEmpty(line.trim()));
+	if (lines.length === 0) return null;
+	if (lines.every(line => /^[\w.\u0080-\uFFFF]+\s*:(\s*[\w.\u0080-\uFFFF]+(\([^)]*\))?\s*,?)*$/.test(line.trim()))) return `list`;
+	if (lines.every(line => line.split(/[\s,;[\]]+/).every(entry => String.isEmpty(entry) || Number.isFinite(Number(entry))))) return `matrix`;
+	return `edges`;
+}
+
+export { FormatError, GraphFormat, JSONFormat, DOTFormat, GraphMLFormat, GEXFFormat, MatrixFormat, ListFormat, EdgesFormat, formats, detectFormat };
@@ -0,0 +1,620 @@
+"use strict";
+
+import { StrictMap } from "./Modules/Extensions.js";
+import { Random } from "./Modules/Generators.js";
+import { Graph } from "./Structure.js";
+
+const { min, max } = Math;
+
+/**
+ * @typedef GeneratorParameter
+ * @property {string} name
+ * @property {number} min
+ * @property {number} max
+ * @property {number} step
+ * @property {number} value The default value.
+ */
+
+//#region Graph generator
+/**
+ * @abstract
+ */
+class GraphGenerator {
+	/**
+	 * @readonly
+	 * @abstract
+	 * @returns {string}
+	 */
+	get name() {
+		throw new ReferenceError(`Not implemented function`);
+	}
+	/**
+	 * @readonly
+	 * @abstract
+	 * @returns {StrictMap<string, GeneratorParameter>}
+	 */
+	get parameters() {
+		throw new ReferenceError(`Not implemented function`);
+	}
+	/**
+	 * Builds an undirected graph on the vertices from 0, taking the missing parameters by default.
+	 * @abstract
+	 * @param {Map<string, number>} values
+	 * @param {Random} random
+	 * @returns {Graph}
+	 * @throws {RangeError} If a parameter is out of its range or doesn't fit the others.
+	 */
+	generate(values, random = new Random()) {
+		throw new ReferenceError(`Not implemented function`);
+	}
+}
+//#endregion
+//#region Construction
+/**
+ * @param {GraphGenerator} generator
+ * @param {Map<string, number>} values
+ * @param {string} key
+ * @returns {number}
+ * @throws {RangeError}
+ */
+function readParameter(generator, values, key) {
+	const parameter = generator.parameters.get(key);
+	const value = values.get(key) ?? parameter.value;
+	if (!(parameter.min <= value && value <= parameter.max)) throw new RangeError(`Parameter ${parameter.name} ${value} is out of range (${parameter.min} - ${parameter.max})`);
+	if (Number.isInteger(parameter.step) && !Number.isInteger(value)) throw new RangeError(`Parameter ${parameter.name} ${value} is not integer`);
+	return value;
+}
+
+/**
+ * @param {number} size
+ * @param {Random?} random The generator to record the seed of, when the graph is random.
+ * @returns {Graph}
+ */
+function createEmpty(size, random = null) {
+	const graph = new Graph();
+	graph.seed = random?.seed ?? null;
+	for (let index = 0; index < size; index++) {
+		graph.addVertex(index);
+	}
+	return graph;
+}
+
+/**
+ * Shuffles the array in place by Fisher and Yates.
+ * @template T
+ * @param {T[]} array
+ * @param {Random} random
+ * @returns {T[]}
+ */
+function shuffle(array, random) {
+	for (let index = array.length - 1; index > 0; index--) {
+		const other = random.integer(0, index + 1);
+		[array[index], array[other]] = [array[other], array[index]];
+	}
+	return array;
+}
+
+/**
+ * @param {Graph} graph
+ * @returns {Graph}
+ */
+function complement(graph) {
+	const result = createEmpty(graph.vertices.size);
+	result.seed = graph.seed;
+	for (let from = 0; from < graph.vertices.size; from++) {
+		for (let to = from + 1; to < graph.vertices.size; to++) {
+			if (!graph.hasEdge(from, to)) result.addEdge(from, to);
+		}
+	}
+	return result;
+}
+//#endregion
+//#region Random generators
+class GNPGenerator extends GraphGenerator {
+	/**
+	 * @readonly
+	 * @returns {string}
+	 */
+	get name() {
+		return `Erdős–Rényi G(n, p)`;
+	}
+	/**
+	 * @readonly
+	 * @returns {StrictMap<string, GeneratorParameter>}
+	 */
+	get parameters() {
+		return new StrictMap(
+			[`n`, { name: `n`, min: 1, max: 100, step: 1, value: 10 }],
+			[`p`, { name: `p`, min: 0, max: 1, step: 0.01, value: 0.3 }],
+		);
+	}
+	/**
+	 * Joins every pair of vertices independently with the probability p.
+	 * @param {Map<string, number>} values
+	 * @param {Random} random
+	 * @returns {Graph}
+	 */
+	generate(values, random = new Random()) {
+		const size = readParameter(this, values, `n`);
+		const probability = readParameter(this, values, `p`);
+		const graph = createEmpty(size, random);
+		for (let from = 0; from < size; from++) {
+			for (let to = from + 1; to < size; to++) {
+				if (random.number(0, 1) < probability) graph.addEdge(from, to);
+			}
+		}
+		return graph;
+	}
+}
+
+class GNMGenerator extends GraphGenerator {
+	/**
+	 * @readonly
+	 * @returns {string}
+	 */
+	get name() {
+		return `Erdős–Rényi G(n, m)`;
+	}
+	/**
+	 * @readonly
+	 * @returns {StrictMap<string, GeneratorParameter>}
+	 */
+	get parameters() {
+		return new StrictMap(
+			[`n`, { name: `n`, min: 1, max: 100, step: 1, value: 10 }],
+			[`m`, { name: `m`, min: 0, max: 4950, step: 1, value: 15 }],
+		);
+	}
+	/**
+	 * Picks m distinct edges uniformly among all the pairs of vertices.
+	 * @param {Map<string, number>} values
+	 * @param {Random} random
+	 * @returns {Graph}
+	 * @throws {RangeError} If there are fewer pairs than m.
+	 */
+	generate(values, random = new Random()) {
+		const size = readParameter(this, values, `n`);
+		const count = readParameter(this, values, `m`);
+		/** @type {[number, number][]} */
+		const pairs = [];
+		for (let from = 0; from < size; from++) {
+			for (let to = from + 1; to < size; to++) {
+				pairs.push([from, to]);
+			}
+		}
+		if (count > pairs.length) throw new RangeError(`Parameter m ${count} is out of range (0 - ${pairs.length})`);
+		const graph = createEmpty(size, random);
+		for (const [from, to] of shuffle(pairs, random).slice(0, count)) {
+			graph.addEdge(from, to);
+		}
+		return graph;
+	}
+}
+
+class BarabasiAlbertGenerator extends GraphGenerator {
+	/**
+	 * @readonly
+	 * @returns {string}
+	 */
+	get name() {
+		return `Barabási–Albert`;
+	}
+	/**
+	 * @readonly
+	 * @returns {StrictMap<string, GeneratorParameter>}
+	 */
+	get parameters() {
+		return new StrictMap(
+			[`n`, { name: `n`, min: 2, max: 100, step: 1, value: 20 }],
+			[`m`, { name: `m`, min: 1, max: 10, step: 1, value: 2 }],
+		);
+	}
+	/**
+	 * Grows the graph from a complete core of m + 1 vertices,
+	 * attaching each next vertex to m distinct ones with the probability proportional to their degree.
+	 * @param {Map<string, number>} values
+	 * @param {Random} random
+	 * @returns {Graph}
+	 * @throws {RangeError} If n doesn't exceed m.
+	 */
+	generate(values, random = new Random()) {
+		const size = readParameter(this, values, `n`);
+		const count = readParameter(this, values, `m`);
+		if (size <= count) throw new RangeError(`Parameter n ${size} is out of range (${count + 1} - 100)`);
+		const graph = createEmpty(size, random);
+		// Each vertex appears here once per its edge, so that a uniform pick favors the hubs.
+		/** @type {number[]} */
+		const ends = [];
+		for (let from = 0; from <= count; from++) {
+			for (let to = from + 1; to <= count; to++) {
+				graph.addEdge(from, to);
+				ends.push(from, to);
+			}
+		}
+		for (let from = count + 1; from < size; from++) {
+			/** @type {Set<number>} */
+			const targets = new Set();
+			while (targets.size < count) {
+				targets.add(random.item(ends));
+			}
+			for (const to of targets) {
+				graph.addEdge(from, to);
+				ends.push(from, to);
+			}
+		}
+		return graph;
+	}
+}
+
+class WattsStrogatzGenerator extends GraphGenerator {
+	/**
+	 * @readonly
+	 * @returns {string}
+	 */
+	get name() {
+		return `Watts–Strogatz`;
+	}
+	/**
+	 * @readonly
+	 * @returns {StrictMap<string, GeneratorParameter>}
+	 */
+	get parameters() {
+		return new StrictMap(
+			[`n`, { name: `n`, min: 3, max: 100, step: 1, value: 20 }],
+			[`k`, { name: `k`, min: 2, max: 98, step: 2, value: 4 }],
+			[`beta`, { name: `β`, min: 0, max: 1, step: 0.01, value: 0.2 }],
+		);
+	}
+	/**
+	 * Joins each vertex of a ring with k / 2 next ones,
+	 * then moves the far end of each such edge with the probability β to a random vertex that isn't joined yet.
+	 * @param {Map<string, number>} values
+	 * @param {Random} random
+	 * @returns {Graph}
+	 * @throws {RangeError} If k is odd or not less than n.
+	 */
+	generate(values, random = new Random()) {
+		const size = readParameter(this, values, `n`);
+		const degree = readParameter(this, values, `k`);
+		const probability = readParameter(this, values, `beta`);
+		if (degree % 2 !== 0) throw new RangeError(`Parameter k ${degree} is not even`);
+		if (degree >= size) throw new RangeError(`Parameter k ${degree} is out of range (2 - ${size - 1})`);
+		const graph = createEmpty(size, random);
+		for (let from = 0; from < size; from++) {
+			for (let step = 1; step <= degree / 2; step++) {
+				graph.addEdge(from, (from + step) % size);
+			}
+		}
+		for (let step = 1; step <= degree / 2; step++) {
+			for (let from = 0; from < size; from++) {
+				const to = (from + step) % size;
+				if (random.number(0, 1) >= probability) continue;
+				const targets = Array.from(graph.vertices).filter(target => target !== from && !graph.hasEdge(from, target));
+				if (targets.length < 1) continue;
+				graph.removeEdge(from, to);
+				graph.addEdge(from, random.item(targets));
+			}
+		}
+		return graph;
+	}
+}
+
+class TreeGenerator extends GraphGenerator {
+	/**
+	 * @readonly
+	 * @returns {string}
+	 */
+	get name() {
+		return `Random tree`;
+	}
+	/**
+	 * @readonly
+	 * @returns {StrictMap<string, GeneratorParameter>}
+	 */
+	get parameters() {
+		return new StrictMap(
+			[`n`, { name: `n`, min: 1, max: 100, step: 1, value: 10 }],
+		);
+	}
+	/**
+	 * Decodes a random Prüfer sequence, so that every labeled tree is equally likely.
+	 * @param {Map<string, number>} values
+	 * @param {Random} random
+	 * @returns {Graph}
+	 */
+	generate(values, random = new Random()) {
+		const size = readParameter(this, values, `n`);
+		const graph = createEmpty(size, random);
+		if (size < 2) return graph;
+		const sequence = Array.from({ length: size - 2 }, () => random.integer(0, size));
+		const degrees = Array(size).fill(1);
+		for (const index of sequence) {
+			degrees[index]++;
+		}
+		for (const index of sequence) {
+			const leaf = degrees.findIndex(degree => degree === 1);
+			graph.addEdge(leaf, index);
+			degrees[leaf]--;
+			degrees[index]--;
+		}
+		const [from, to] = degrees.flatMap((degree, index) => degree === 1 ? [index] : []);
+		graph.addEdge(from, to);
+		return graph;
+	}
+}
+
+class RegularGenerator extends GraphGenerator {
+	/** @type {number} */
+	static #attempts = 100000;
+	/**
+	 * @readonly
+	 * @returns {string}
+	 */
+	get name() {
+		return `Random k-regular`;
+	}
+	/**
+	 * @readonly
+	 * @returns {StrictMap<string, GeneratorParameter>}
+	 */
+	get parameters() {
+		return new StrictMap(
+			[`n`, { name: `n`, min: 1, max: 100, step: 1, value: 10 }],
+			[`k`, { name: `k`, min: 0, max: 99, step: 1, value: 3 }],
+		);
+	}
+	/**
+	 * Pairs up k copies of every vertex at random, then switches the ends of each loop or parallel edge
+	 * with the ends of a random other edge, as long as that makes no new ones, until the graph is simple.
+	 * The dense graphs are built as complements of the sparse ones, which leave more room for the switches.
+	 * @param {Map<string, number>} values
+	 * @param {Random} random
+	 * @returns {Graph}
+	 * @throws {RangeError} If k is not less than n or n · k is odd.
+	 * @throws {EvalError} If the switches don't clear the pairing in a reasonable number of attempts.
+	 */
+	generate(values, random = new Random()) {
+		const size = readParameter(this, values, `n`);
+		const degree = readParameter(this, values, `k`);
+		if (degree >= size) throw new RangeError(`Parameter k ${degree} is out of range (0 - ${size - 1})`);
+		if (size * degree % 2 !== 0) throw new RangeError(`Unable to generate ${degree}-regular graph on ${size} vertices due its odd degree sum`);
+		if (degree > (size - 1) / 2) return complement(this.generate(new Map([[`n`, size], [`k`, size - 1 - degree]]), random));
+		const copies = shuffle(Array.from({ length: size * degree }, (_, order) => order % size), random);
+		/** @type {[number, number][]} */
+		const pairs = [];
+		for (let order = 0; order < copies.length; order += 2) {
+			pairs.push([copies[order], copies[order + 1]]);
+		}
+		/**
+		 * @param {number} from
+		 * @param {number} to
+		 * @returns {number}
+		 */
+		const getKey = (from, to) => min(from, to) * size + max(from, to);
+		/** @type {Map<number, number>} */
+		const multiplicities = new Map();
+		/**
+		 * @param {[number, number]} pair
+		 * @param {number} change
+		 * @returns {void}
+		 */
+		const count = ([from, to], change) => {
+			const key = getKey(from, to);
+			const multiplicity = (multiplicities.get(key) ?? 0) + change;
+			if (multiplicity > 0) multiplicities.set(key, multiplicity);
+			else multiplicities.delete(key);
+		};
+		for (const pair of pairs) {
+			count(pair, 1);
+		}
+		/**
+		 * @returns {number[]}
+		 */
+		const getDefects = () => pairs.flatMap(([from, to], order) => (from === to || (multiplicities.get(getKey(from, to)) ?? 0) > 1 ? [order] : []));
+		let defects = getDefects();
+		for (let attempt = 0; defects.length > 0; attempt++) {
+			if (attempt >= RegularGenerator.#attempts) throw new EvalError(`Unable to generate ${degree}-regular graph on ${size} vertices in ${RegularGenerator.#attempts} attempts`);
+			const order = random.item(defects);
+			const other = random.integer(0, pairs.length);
+			const [from1, to1] = pairs[order];
+			const [from2, to2] = (random.boolean() ? pairs[other] : [pairs[other][1], pairs[other][0]]);
+			if (other === order || from1 === from2 || to1 === to2) continue;
+			if (multiplicities.has(getKey(from1, from2)) || multiplicities.has(getKey(to1, to2)) || getKey(from1, from2) === getKey(to1, to2)) continue;
+			count(pairs[order], -1);
+			count(pairs[other], -1);
+			pairs[order] = [from1, from2];
+			pairs[other] = [to1, to2];
+			count(pairs[order], 1);
+			count(pairs[other], 1);
+			defects = getDefects();
+		}
+		const graph = createEmpty(size, random);
+		for (const [from, to] of pairs) {
+			graph.addEdge(from, to);
+		}
+		return graph;
+	}
+}
+//#endregion
+//#region Preset generators
+class GridGenerator extends GraphGenerator {
+	/**
+	 * @readonly
+	 * @returns {string}
+	 */
+	get name() {
+		return `Grid`;
+	}
+	/**
+	 * @readonly
+	 * @returns {StrictMap<string, GeneratorParameter>}
+	 */
+	get parameters() {
+		return new StrictMap(
+			[`rows`, { name: `Rows`, min: 1, max: 10, step: 1, value: 4 }],
+			[`columns`, { name: `Columns`, min: 1, max: 10, step: 1, value: 4 }],
+		);
+	}
+	/**
+	 * Numbers the vertices row by row.
+	 * @param {Map<string, number>} values
+	 * @param {Random} random
+	 * @returns {Graph}
+	 */
+	generate(values, random = new Random()) {
+		const rows = readParameter(this, values, `rows`);
+		const columns = readParameter(this, values, `columns`);
+		const graph = createEmpty(rows * columns);
+		for (let row = 0; row < rows; row++) {
+			for (let column = 0; column < columns; column++) {
+				const index = row * columns + column;
+				if (column + 1 < columns) graph.addEdge(index, index + 1);
+				if (row + 1 < rows) graph.addEdge(index, index + columns);
+			}
+		}
+		return graph;
+	}
+}
+
+class CompleteGenerator extends GraphGenerator {
+	/**
+	 * @readonly
+	 * @returns {string}
+	 */
+	get name() {
+		return `Complete`;
+	}
+	/**
+	 * @readonly
+	 * @returns {StrictMap<string, GeneratorParameter>}
+	 */
+	get parameters() {
+		return new StrictMap(
+			[`n`, { name: `n`, min: 1, max: 30, step: 1, value: 5 }],
+		);
+	}
+	/**
+	 * @param {Map<string, number>} values
+	 * @param {Random} random
+	 * @returns {Graph}
+	 */
+	generate(values, random = new Random()) {
+		return complement(createEmpty(readParameter(this, values, `n`)));
+	}
+}
+
+class CycleGenerator extends GraphGenerator {
+	/**
+	 * @readonly
+	 * @returns {string}
+	 */
+	get name() {
+		return `Cycle`;
+	}
+	/**
+	 * @readonly
+	 * @returns {StrictMap<string, GeneratorParameter>}
+	 */
+	get parameters() {
+		return new StrictMap(
+			[`n`, { name: `n`, min: 3, max: 100, step: 1, value: 6 }],
+		);
+	}
+	/**
+	 * @param {Map<string, number>} values
+	 * @param {Random} random
+	 * @returns {Graph}
+	 */
+	generate(values, random = new Random()) {
+		const size = readParameter(this, values, `n`);
+		const graph = createEmpty(size);
+		for (let from = 0; from < size; from++) {
+			graph.addEdge(from, (from + 1) % size);
+		}
+		return graph;
+	}
+}
+
+class WheelGenerator extends GraphGenerator {
+	/**
+	 * @readonly
+	 * @returns {string}
+	 */
+	get name() {
+		return `Wheel`;
+	}
+	/**
+	 * @readonly
+	 * @returns {StrictMap<string, GeneratorParameter>}
+	 */
+	get parameters() {
+		return new StrictMap(
+			[`n`, { name: `n`, min: 4, max: 100, step: 1, value: 7 }],
+		);
+	}
+	/**
+	 * Joins the hub 0 with every vertex of the rim that goes through the rest.
+	 * @param {Map<string, number>} values
+	 * @param {Random} random
+	 * @returns {Graph}
+	 */
+	generate(values, random = new Random()) {
+		const size = readParameter(this, values, `n`);
+		const graph = createEmpty(size);
+		for (let from = 1; from < size; from++) {
+			graph.addEdge(0, from);
+			graph.addEdge(from, from % (size - 1) + 1);
+		}
+		return graph;
+	}
+}
+
+class PetersenGenerator extends GraphGenerator {
+	/**
+	 * @readonly
+	 * @returns {string}
+	 */
+	get name() {
+		return `Petersen`;
+	}
+	/**
+	 * @readonly
+	 * @returns {StrictMap<string, GeneratorParameter>}
+	 */
+	get parameters() {
+		return new StrictMap();
+	}
+	/**
+	 * Joins the outer pentagon 0–4 with the inner pentagram 5–9 by spokes.
+	 * @param {Map<string, number>} values
+	 * @param {Random} random
+	 * @returns {Graph}
+	 */
+	generate(values, random = new Random()) {
+		const graph = createEmpty(10);
+		for (let index = 0; index < 5; index++) {
+			graph.addEdge(index, (index + 1) % 5);
+			graph.addEdge(index, index + 5);
+			graph.addEdge(index + 5, (index + 2) % 5 + 5);
+		}
+		return graph;
+	}
+}
+//#endregion
+
+/** @type {StrictMap<string, GraphGenerator>} */
+const generators = new StrictMap(
+	[`gnp`, new GNPGenerator()],
+	[`gnm`, new GNMGenerator()],
+	[`barabasi-albert`, new BarabasiAlbertGenerator()],
+	[`watts-strogatz`, new WattsStrogatzGenerator()],
+	[`tree`, new TreeGenerator()],
+	[`regular`, new RegularGenerator()],
+	[`grid`, new GridGenerator()],
+	[`complete`, new CompleteGenerator()],
+	[`cycle`, new CycleGenerator()],
+	[`wheel`, new WheelGenerator()],
+	[`petersen`, new PetersenGenerator()],
+);
+
+export { GraphGenerator, GNPGenerator, GNMGenerator, BarabasiAlbertGenerator, WattsStrogatzGenerator, TreeGenerator, RegularGenerator, GridGenerator, CompleteGenerator, CycleGenerator, WheelGenerator, PetersenGenerator, generators };
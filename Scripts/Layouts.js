@@ -0,0 +1,310 @@
+"use strict";
+
+import { StrictMap } from "./Modules/Extensions.js";
+import { Point2D } from "./Modules/Measures.js";
+import { Graph } from "./Structure.js";
+
+const { min, max, ceil, trunc, sqrt, PI, sin, cos } = Math;
+
+/**
+ * @typedef {Map<number, Point2D>} GraphPlacement
+ */
+
+//#region Graph layout
+/**
+ * @abstract
+ */
+class GraphLayout {
+	/**
+	 * @readonly
+	 * @abstract
+	 * @returns {string}
+	 */
+	get name() {
+		throw new ReferenceError(`Not implemented function`);
+	}
+	/**
+	 * Places every vertex of the graph around the origin, keeping the neighboring places the spacing apart.
+	 * @abstract
+	 * @param {Graph} graph
+	 * @param {number} spacing
+	 * @returns {GraphPlacement}
+	 * @throws {TypeError}
+	 */
+	arrange(graph, spacing) {
+		throw new ReferenceError(`Not implemented function`);
+	}
+}
+//#endregion
+//#region Placement
+/**
+ * @param {Graph} graph
+ * @returns {number[]}
+ */
+function sortVertices(graph) {
+	return Array.from(graph.vertices).sort((index1, index2) => index1 - index2);
+}
+
+/**
+ * Moves the placement so that the middle of its bounds falls onto the origin.
+ * @param {GraphPlacement} placement
+ * @returns {GraphPlacement}
+ */
+function centerPlacement(placement) {
+	const points = Array.from(placement.values());
+	if (points.length < 1) return placement;
+	const middle = new Point2D(
+		(min(...points.map(point => point.x)) + max(...points.map(point => point.x))) / 2,
+		(min(...points.map(point => point.y)) + max(...points.map(point => point.y))) / 2,
+	);
+	/** @type {GraphPlacement} */
+	const result = new Map();
+	for (const [index, point] of placement) {
+		result.set(index, point["-"](middle));
+	}
+	return result;
+}
+//#endregion
+//#region Circular layout
+class CircularLayout extends GraphLayout {
+	/**
+	 * @readonly
+	 * @returns {string}
+	 */
+	get name() {
+		return `Circular`;
+	}
+	/**
+	 * Puts the vertices on a circle in the order of their indices, clockwise from the top.
+	 * @param {Graph} graph
+	 * @param {number} spacing
+	 * @returns {GraphPlacement}
+	 */
+	arrange(graph, spacing) {
+		const indices = sortVertices(graph);
+		const radius = max(spacing, indices.length * spacing / (2 * PI));
+		/** @type {GraphPlacement} */
+		const placement = new Map();
+		for (const [order, index] of indices.entries()) {
+			const angle = PI / 2 - order / indices.length * 2 * PI;
+			placement.set(index, (indices.length > 1
+				? new Point2D(radius * cos(angle), radius * sin(angle))
+				: Point2D.ZERO
+			));
+		}
+		return placement;
+	}
+}
+//#endregion
+//#region Grid layout
+class GridLayout extends GraphLayout {
+	/**
+	 * @readonly
+	 * @returns {string}
+	 */
+	get name() {
+		return `Grid`;
+	}
+	/**
+	 * Fills the rows of the squarest grid in the order of the indices.
+	 * @param {Graph} graph
+	 * @param {number} spacing
+	 * @returns {GraphPlacement}
+	 */
+	arrange(graph, spacing) {
+		const indices = sortVertices(graph);
+		const columns = max(1, ceil(sqrt(indices.length)));
+		/** @type {GraphPlacement} */
+		const placement = new Map();
+		for (const [order, index] of indices.entries()) {
+			placement.set(index, new Point2D(order % columns * spacing, -trunc(order / columns) * spacing));
+		}
+		return centerPlacement(placement);
+	}
+}
+//#endregion
+//#region Layered layout
+/**
+ * @typedef {[number, number][]} TreeContour The leftmost and rightmost offsets of a subtree at each depth below its root.
+ */
+
+class LayeredLayout extends GraphLayout {
+	/**
+	 * Puts the subtrees side by side as close as their contours allow, at least one unit apart at every depth.
+	 * @param {TreeContour[]} contours
+	 * @returns {[number[], TreeContour]} The shifts of the subtrees and the contour of them together.
+	 */
+	static #joinContours(contours) {
+		/** @type {number[]} */
+		const shifts = [];
+		/** @type {TreeContour} */
+		const contourJoint = [];
+		for (const contour of contours) {
+			let shift = 0;
+			for (let depth = 0; depth < min(contour.length, contourJoint.length); depth++) {
+				shift = max(shift, contourJoint[depth][1] - contour[depth][0] + 1);
+			}
+			shifts.push(shift);
+			for (const [depth, [left, right]] of contour.entries()) {
+				if (depth < contourJoint.length) {
+					const [leftJoint, rightJoint] = contourJoint[depth];
+					contourJoint[depth] = [min(leftJoint, left + shift), max(rightJoint, right + shift)];
+				} else contourJoint.push([left + shift, right + shift]);
+			}
+		}
+		return [shifts, contourJoint];
+	}
+	/**
+	 * Lays out the subtree by Reingold and Tilford, centering each parent above its outer children.
+	 * @param {Map<number, number[]>} tree
+	 * @param {number} root
+	 * @param {Map<number, number>} offsets The offsets of the vertices from their parents.
+	 * @returns {TreeContour}
+	 */
+	static #placeSubtree(tree, root, offsets) {
+		const children = tree.get(root) ?? [];
+		if (children.length < 1) return [[0, 0]];
+		const [shifts, contour] = LayeredLayout.#joinContours(children.map(child => LayeredLayout.#placeSubtree(tree, child, offsets)));
+		const center = (shifts[0] + shifts[shifts.length - 1]) / 2;
+		for (const [order, child] of children.entries()) {
+			offsets.set(child, shifts[order] - center);
+		}
+		return [[0, 0], ...contour.map(([left, right]) => /** @type {[number, number]} */ ([left - center, right - center]))];
+	}
+	/**
+	 * @readonly
+	 * @returns {string}
+	 */
+	get name() {
+		return `Layered tree`;
+	}
+	/**
+	 * Spans the graph by breadth-first trees, taking the sources of a directed graph as the roots first,
+	 * and stacks their layers from the top down. The other edges don't affect the placement.
+	 * @param {Graph} graph
+	 * @param {number} spacing
+	 * @returns {GraphPlacement}
+	 */
+	arrange(graph, spacing) {
+		const indices = sortVertices(graph);
+		const candidates = (graph.directed
+			? [...indices.filter(index => graph.getPredecessorsOf(index).size < 1), ...indices]
+			: indices
+		);
+		/** @type {Map<number, number[]>} */
+		const tree = new Map();
+		/** @type {Map<number, number>} */
+		const depths = new Map();
+		/** @type {number[]} */
+		const roots = [];
+		for (const root of candidates) {
+			if (depths.has(root)) continue;
+			roots.push(root);
+			depths.set(root, 0);
+			const queue = [root];
+			for (let cursor = 0; cursor < queue.length; cursor++) {
+				const parent = queue[cursor];
+				const successors = (graph.directed ? graph.getSuccessorsOf(parent) : graph.getNeighborsOf(parent));
+				/** @type {number[]} */
+				const children = [];
+				for (const child of Array.from(successors).sort((index1, index2) => index1 - index2)) {
+					if (depths.has(child)) continue;
+					depths.set(child, depths.get(parent) + 1);
+					children.push(child);
+					queue.push(child);
+				}
+				tree.set(parent, children);
+			}
+		}
+		/** @type {Map<number, number>} */
+		const offsets = new Map();
+		const [shifts] = LayeredLayout.#joinContours(roots.map(root => LayeredLayout.#placeSubtree(tree, root, offsets)));
+		/** @type {GraphPlacement} */
+		const placement = new Map();
+		for (const [order, root] of roots.entries()) {
+			const stack = [[root, shifts[order]]];
+			while (stack.length > 0) {
+				const [parent, x] = stack.pop();
+				placement.set(parent, new Point2D(x * spacing, -depths.get(parent) * spacing));
+				for (const child of tree.get(parent) ?? []) {
+					stack.push([child, x + offsets.get(child)]);
+				}
+			}
+		}
+		return centerPlacement(placement);
+	}
+}
+//#endregion
+//#region Bipartite layout
+class BipartiteLayout extends GraphLayout {
+	/**
+	 * @readonly
+	 * @returns {string}
+	 */
+	get name() {
+		return `Bipartite`;
+	}
+	/**
+	 * Splits the vertices into two columns with no edges inside either of them.
+	 * The right column is ordered by the mean rows of the left neighbors to keep the crossings few.
+	 * @param {Graph} graph
+	 * @param {number} spacing
+	 * @returns {GraphPlacement}
+	 * @throws {TypeError} If the graph has an odd cycle.
+	 */
+	arrange(graph, spacing) {
+		/** @type {Map<number, boolean>} */
+		const sides = new Map();
+		/** @type {number[]} */
+		const columnLeft = [];
+		/** @type {number[]} */
+		const columnRight = [];
+		for (const root of sortVertices(graph)) {
+			if (sides.has(root)) continue;
+			sides.set(root, false);
+			const queue = [root];
+			for (let cursor = 0; cursor < queue.length; cursor++) {
+				const index = queue[cursor];
+				const side = sides.get(index);
+				(side ? columnRight : columnLeft).push(index);
+				for (const neighbor of Array.from(graph.getNeighborsOf(index)).sort((index1, index2) => index1 - index2)) {
+					if (!sides.has(neighbor)) {
+						sides.set(neighbor, !side);
+						queue.push(neighbor);
+					} else if (sides.get(neighbor) === side) throw new TypeError(`Unable to arrange graph in two columns due its odd cycle through vertex ${neighbor}`);
+				}
+			}
+		}
+		const rows = new Map(columnLeft.map((index, row) => [index, row]));
+		/**
+		 * @param {number} index
+		 * @returns {number}
+		 */
+		const getBarycenter = (index) => {
+			const neighbors = Array.from(graph.getNeighborsOf(index), neighbor => rows.get(neighbor) ?? 0);
+			if (neighbors.length < 1) return Infinity;
+			return neighbors.reduce((total, row) => total + row, 0) / neighbors.length;
+		};
+		const barycenters = new Map(columnRight.map(index => [index, getBarycenter(index)]));
+		columnRight.sort((index1, index2) => barycenters.get(index1) - barycenters.get(index2) || index1 - index2);
+		/** @type {GraphPlacement} */
+		const placement = new Map();
+		for (const [column, indices] of [columnLeft, columnRight].entries()) {
+			for (const [row, index] of indices.entries()) {
+				placement.set(index, new Point2D((column * 2 - 1) * spacing * 2, ((indices.length - 1) / 2 - row) * spacing));
+			}
+		}
+		return placement;
+	}
+}
+//#endregion
+
+/** @type {StrictMap<string, GraphLayout>} */
+const layouts = new StrictMap(
+	[`circular`, new CircularLayout()],
+	[`grid`, new GridLayout()],
+	[`layered`, new LayeredLayout()],
+	[`bipartite`, new BipartiteLayout()],
+);
+
+export { GraphLayout, CircularLayout, GridLayout, LayeredLayout, BipartiteLayout, layouts };
@@ -384,6 +384,84 @@ class Queue {
 	}
 }
 //#endregion
+//#region Priority queue
+/**
+ * Represents a priority queue data structure based on a binary heap.
+ * @template T The type of elements in the priority queue.
+ */
+class PriorityQueue {
+	/** @type {[number, T][]} */
+	#heap = [];
+	/**
+	 * Adds an item to the priority queue.
+	 * @param {T} item The item to add to the priority queue.
+	 * @param {number} priority The priority of the item. Lower values are extracted first.
+	 * @returns {void}
+	 */
+	push(item, priority) {
+		const heap = this.#heap;
+		heap.push([priority, item]);
+		let index = heap.length - 1;
+		while (index > 0) {
+			const parent = (index - 1) >> 1;
+			if (heap[parent][0] <= heap[index][0]) break;
+			[heap[parent], heap[index]] = [heap[index], heap[parent]];
+			index = parent;
+		}
+	}
+	/**
+	 * Returns the item with the lowest priority without removing it.
+	 * @readonly
+	 * @returns {T} The item with the lowest priority.
+	 * @throws {ReferenceError} If the priority queue is empty.
+	 */
+	get peek() {
+		const pair = this.#heap.at(0);
+		if (pair === undefined) throw new ReferenceError(`Priority queue is empty`);
+		return pair[1];
+	}
+	/**
+	 * Removes and returns the item with the lowest priority.
+	 * @returns {T} The item that was removed from the priority queue.
+	 * @throws {ReferenceError} If the priority queue is empty.
+	 */
+	shift() {
+		const heap = this.#heap;
+		const last = heap.pop();
+		if (last === undefined) throw new ReferenceError(`Priority queue is empty`);
+		if (heap.length < 1) return last[1];
+		const [, item] = heap[0];
+		heap[0] = last;
+		let index = 0;
+		while (true) {
+			const left = index * 2 + 1;
+			const right = left + 1;
+			let smallest = index;
+			if (left < heap.length && heap[left][0] < heap[smallest][0]) smallest = left;
+			if (right < heap.length && heap[right][0] < heap[smallest][0]) smallest = right;
+			if (smallest === index) break;
+			[heap[smallest], heap[index]] = [heap[index], heap[smallest]];
+			index = smallest;
+		}
+		return item;
+	}
+	/**
+	 * Removes all items from the priority queue.
+	 * @returns {T[]} An array containing the removed items.
+	 */
+	clear() {
+		return this.#heap.splice(0, this.#heap.length).map(([, item]) => item);
+	}
+	/**
+	 * Gets the number of items in the priority queue.
+	 * @readonly
+	 * @returns {number} The number of items in the priority queue.
+	 */
+	get size() {
+		return this.#heap.length;
+	}
+}
+//#endregion
 //#region Data pair
 /**
  * @template K
@@ -1231,4 +1309,4 @@ class Application {
 // }
 //#endregion
 
-export { Stack, Queue, DataPair, StrictMap };
\ No newline at end of file
+export { Stack, Queue, PriorityQueue, DataPair, StrictMap };
\ No newline at end of file
@@ -1,18 +1,78 @@
 "use strict";
 
-const { random, round, trunc } = Math;
+const { round, trunc, imul } = Math;
 
 //#region Random
 /**
  * Random values generator.
+ * The values come from xoshiro128** seeded through splitmix32, so the same seed always gives the same sequence.
  */
 class Random {
+	/**
+	 * Draws a fresh seed from the cryptographic source.
+	 * @returns {number}
+	 */
+	static #createSeed() {
+		return crypto.getRandomValues(new Uint32Array(1))[0];
+	}
+	/**
+	 * @param {number} value 
+	 * @param {number} shift 
+	 * @returns {number}
+	 */
+	static #rotate(value, shift) {
+		return (value << shift) | (value >>> (32 - shift));
+	}
+	/**
+	 * @param {number} seed The seed of the sequence, an unsigned 32-bit integer. A fresh one is drawn by default.
+	 * @throws {RangeError} If the seed is out of range.
+	 */
+	constructor(seed = Random.#createSeed()) {
+		if (!Number.isInteger(seed) || seed < 0 || seed > 0xFFFFFFFF) throw new RangeError(`Seed ${seed} is out of range (0 - ${0xFFFFFFFF})`);
+		this.#seed = seed;
+		let state = seed;
+		for (let index = 0; index < this.#state.length; index++) {
+			state = (state + 0x9E3779B9) >>> 0;
+			let value = state;
+			value = imul(value ^ (value >>> 16), 0x85EBCA6B);
+			value = imul(value ^ (value >>> 13), 0xC2B2AE35);
+			this.#state[index] = value ^ (value >>> 16);
+		}
+	}
+	/** @type {number} */
+	#seed;
+	/**
+	 * Gets the seed of the sequence.
+	 * @readonly
+	 * @returns {number}
+	 */
+	get seed() {
+		return this.#seed;
+	}
+	/** @type {Uint32Array} */
+	#state = new Uint32Array(4);
+	/**
+	 * Advances the sequence.
+	 * @returns {number} A number between 0 inclusive and 1 exclusive.
+	 */
+	#next() {
+		const state = this.#state;
+		const result = imul(Random.#rotate(imul(state[1], 5), 7), 9) >>> 0;
+		const shifted = state[1] << 9;
+		state[2] ^= state[0];
+		state[3] ^= state[1];
+		state[1] ^= state[2];
+		state[0] ^= state[3];
+		state[2] ^= shifted;
+		state[3] = Random.#rotate(state[3], 11);
+		return result / 0x100000000;
+	}
 	/**
 	 * Generates a random boolean value.
 	 * @returns {boolean} A random boolean value.
 	 */
 	boolean() {
-		return Boolean(round(random()));
+		return Boolean(round(this.#next()));
 	}
 	/**
 	 * Returns a random number between the specified values.
@@ -21,7 +81,7 @@ class Random {
 	 * @returns {number} A random number.
 	 */
 	number(min, max) {
-		return random() * (max - min) + min;
+		return this.#next() * (max - min) + min;
 	}
 	/**
 	 * Returns a random integer between the specified values.
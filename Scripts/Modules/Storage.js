@@ -58,12 +58,17 @@ class Archive {
 }
 //#endregion
 //#region Archive manager
+/**
+ * @typedef ArchiveManagerEventMap
+ * @property {Event} change Dispatched when another page has saved the archive and the data is imported anew.
+ */
+
 /**
  * Manages the archive data and provides methods for construction, reconstruction, and accessing data.
  * @template N The type of data exported by the archive.
  * @template {{ export(): N }} O The type of object that can export the data.
  */
-class ArchiveManager {
+class ArchiveManager extends EventTarget {
 	static #locked = true;
 	/**
 	 * @template N The type of data exported by the archive.
@@ -83,6 +88,7 @@ class ArchiveManager {
 		self.#construct = () => Reflect.construct(prototype, args);
 		/** @type {Archive<N>} */
 		const archive = new Archive(path, self.#construct().export());
+		self.#archive = archive;
 		while (true) {
 			try {
 				const data = prototype.import(archive.data, `archive data`);
@@ -99,16 +105,53 @@ class ArchiveManager {
 			}
 		}
 		window.addEventListener(`beforeunload`, (event) => {
-			archive.data = self.#data.export();
+			self.save();
+		});
+		window.addEventListener(`storage`, (event) => {
+			if (event.storageArea !== localStorage || event.key !== path || event.newValue === null) return;
+			try {
+				const data = prototype.import(JSON.parse(event.newValue), `archive data`);
+				if (!(data instanceof prototype)) return;
+				self.#data = data;
+			} catch {
+				return;
+			}
+			self.dispatchEvent(new Event(`change`));
 		});
 
 		return self;
 	}
 	constructor() {
+		super();
+
 		if (ArchiveManager.#locked) throw new TypeError(`Illegal constructor`);
 	}
+	/**
+	 * @template {keyof ArchiveManagerEventMap} K
+	 * @param {K} type 
+	 * @param {(this: ArchiveManager<N, O>, ev: ArchiveManagerEventMap[K]) => any} listener 
+	 * @param {boolean | AddEventListenerOptions} options
+	 * @returns {void}
+	 */
+	addEventListener(type, listener, options = false) {
+		// @ts-ignore
+		return super.addEventListener(type, listener, options);
+	}
+	/**
+	 * @template {keyof ArchiveManagerEventMap} K
+	 * @param {K} type 
+	 * @param {(this: ArchiveManager<N, O>, ev: ArchiveManagerEventMap[K]) => any} listener 
+	 * @param {boolean | EventListenerOptions} options
+	 * @returns {void}
+	 */
+	removeEventListener(type, listener, options = false) {
+		// @ts-ignore
+		return super.removeEventListener(type, listener, options);
+	}
 	/** @type {() => O} */
 	#construct;
+	/** @type {Archive<N>} */
+	#archive;
 	/** @type {O} */
 	#data;
 	/**
@@ -125,6 +168,13 @@ class ArchiveManager {
 	reconstruct() {
 		this.#data = this.#construct();
 	}
+	/**
+	 * Writes the archive data at once, so that the other pages see it without waiting for this one to unload.
+	 * @returns {void}
+	 */
+	save() {
+		this.#archive.data = this.#data.export();
+	}
 }
 //#endregion
 
@@ -1,23 +1,45 @@
 "use strict";
 
 import { } from "./Modules/Executors.js";
-import { Stack, StrictMap } from "./Modules/Extensions.js";
+import { PriorityQueue, Queue, Stack, StrictMap } from "./Modules/Extensions.js";
 import { } from "./Modules/Generators.js";
-import { } from "./Modules/Measures.js";
+import { Matrix, Point2D } from "./Modules/Measures.js";
 import { } from "./Modules/Palette.js";
 import { } from "./Modules/Storage.js";
 import { } from "./Modules/Time.js";
 
+const { min, max } = Math;
+
 //#region Graph
 /**
 * @typedef EdgeNotation
 * @property {number} from
 * @property {number} to
+* @property {number} [weight]
 */
 
+/**
+ * @typedef VertexAttributes
+ * @property {number} [x]
+ * @property {number} [y]
+ * @property {string} [label]
+ * @property {string} [color]
+ * @property {Record<string, string>} [data] The other attributes of the exchange formats, kept as text.
+ */
+
+/**
+ * @typedef {{ index: number } & VertexAttributes} VertexNotation
+ */
+
+/**
+ * @typedef {Map<number, Map<number, number>>} GraphAdjacency
+ */
+
 /**
  * @typedef GraphNotation
- * @property {number[]} vertices
+ * @property {boolean} [directed]
+ * @property {number} [seed]
+ * @property {(number | VertexNotation)[]} vertices
  * @property {EdgeNotation[]} connections
  */
 
@@ -33,6 +55,81 @@ import { } from "./Modules/Time.js";
  * @typedef {InstanceType<Graph.DFS>} GraphDFS
  */
 
+/**
+ * @typedef {`tarjan` | `kosaraju`} StrongComponentsAlgorithm
+ */
+
+/**
+ * @typedef GraphVisitTraceEvent
+ * @property {`visit`} type
+ * @property {number} vertex
+ * @property {number} visit
+ * @property {number} lowlink
+ */
+
+/**
+ * @typedef GraphLowlinkTraceEvent
+ * @property {`update-lowlink`} type
+ * @property {number} vertex
+ * @property {number} lowlink
+ */
+
+/**
+ * @typedef GraphEdgeTraceEvent
+ * @property {`push-edge`} type
+ * @property {[number, number]} edge
+ * @property {`tree` | `back`} kind
+ */
+
+/**
+ * @typedef GraphComponentTraceEvent
+ * @property {`pop-component`} type
+ * @property {[number, number][]} edges
+ */
+
+/**
+ * @typedef {GraphVisitTraceEvent | GraphLowlinkTraceEvent | GraphEdgeTraceEvent | GraphComponentTraceEvent} GraphTraceEvent
+ */
+
+/**
+ * @typedef {InstanceType<Graph.Paths>} GraphPaths
+ */
+
+/**
+ * @typedef {`kruskal` | `prim`} SpanningForestAlgorithm
+ */
+
+/**
+ * @typedef SpanningForestOptions
+ * @property {SpanningForestAlgorithm} [algorithm]
+ */
+
+/**
+ * @typedef SpanningForest
+ * @property {Graph} forest
+ * @property {number} weight
+ */
+
+/**
+ * @typedef {`greedy` | `dsatur` | `exact`} ColoringAlgorithm
+ */
+
+/**
+ * @typedef {`natural` | `largest-first` | `smallest-last`} ColoringOrder
+ */
+
+/**
+ * @typedef ColoringOptions
+ * @property {ColoringAlgorithm} [algorithm]
+ * @property {ColoringOrder} [order] The order in which the greedy algorithm visits the vertices.
+ */
+
+/**
+ * @typedef VertexColoring
+ * @property {Map<number, number>} colors The colors of the vertices, numbered from 0.
+ * @property {number} count
+ */
+
 class Graph {
 	/**
 	 * @param {unknown} source
@@ -43,15 +140,38 @@ class Graph {
 		try {
 			const shell = Object.import(source);
 			const result = new Graph();
-			const vertexIndices = Array.import(shell[`vertices`], `property vertices`);
-			for (const index of vertexIndices) {
+			if (shell[`directed`] !== undefined) {
+				result.directed = Boolean.import(shell[`directed`], `property directed`);
+			}
+			if (shell[`seed`] !== undefined) {
+				result.seed = Number.import(shell[`seed`], `property seed`);
+			}
+			const vertices = Array.import(shell[`vertices`], `property vertices`);
+			for (const item of vertices) {
+				if (typeof (item) === `number`) {
+					result.addVertex(Number.import(item, `property vertices`));
+					continue;
+				}
+				const vertex = Object.import(item, `property vertices`);
+				const index = Number.import(vertex[`index`], `property index`);
+				/** @type {VertexAttributes} */
+				const attributes = {};
+				if (vertex[`x`] !== undefined) attributes.x = Number.import(vertex[`x`], `property x`);
+				if (vertex[`y`] !== undefined) attributes.y = Number.import(vertex[`y`], `property y`);
+				if (vertex[`label`] !== undefined) attributes.label = String.import(vertex[`label`], `property label`);
+				if (vertex[`color`] !== undefined) attributes.color = String.import(vertex[`color`], `property color`);
+				if (vertex[`data`] !== undefined) {
+					attributes.data = Object.fromEntries(Object.entries(Object.import(vertex[`data`], `property data`)).map(([key, value]) => [key, String.import(value, `property ${key}`)]));
+				}
 				result.addVertex(index);
+				result.setAttributesOf(index, attributes);
 			}
 			const edges = Array.import(shell[`connections`], `property connections`);
 			for (const item of edges) {
 				const from = Number.import(item[`from`], `property from`);
 				const to = Number.import(item[`to`], `property to`);
-				result.addEdge(from, to);
+				const weight = (item[`weight`] === undefined ? 1 : Number.import(item[`weight`], `property weight`));
+				result.addEdge(from, to, weight);
 			}
 			return result;
 		} catch (error) {
@@ -63,57 +183,224 @@ class Graph {
 	 */
 	export() {
 		return {
-			vertices: Array.from(this.vertices),
-			connections: Graph.DFS.walkDepthFirst(this).map(([from, to]) => ({ from, to }))
+			directed: this.#directed,
+			...(this.#seed === null ? {} : { seed: this.#seed }),
+			vertices: Array.from(this.vertices, (index) => {
+				const attributes = this.getAttributesOf(index);
+				return (Object.keys(attributes).length > 0 ? { index, ...attributes } : index);
+			}),
+			connections: this.edges.map(([from, to]) => {
+				const weight = this.getWeightOf(from, to);
+				return (weight === 1 ? { from, to } : { from, to, weight });
+			})
 		};
 	}
+	/**
+	 * Builds the graph on the given vertices, `0…n-1` by default, where each non-zero entry is the weight of an edge; a symmetric matrix gives an undirected graph.
+	 * @param {Matrix<number>} matrix
+	 * @param {number[]} indices The indices of the vertices in the order of the rows.
+	 * @returns {Graph}
+	 * @throws {TypeError}
+	 */
+	static importMatrix(matrix, indices = Array.from({ length: matrix.size.y }, (_, index) => index), name = `matrix`) {
+		try {
+			const { x: width, y: height } = matrix.size;
+			if (width !== height) throw new TypeError(`Matrix of size ${width}x${height} is not square`);
+			if (indices.length !== height) throw new TypeError(`Matrix of size ${width}x${height} doesn't fit ${indices.length} vertices`);
+			if (new Set(indices).size !== indices.length) throw new TypeError(`Vertices of matrix are repeated`);
+			/** @type {GraphAdjacency} */
+			const adjacency = new Map();
+			for (let from = 0; from < height; from++) {
+				/** @type {Map<number, number>} */
+				const successors = new Map();
+				for (let to = 0; to < width; to++) {
+					const weight = matrix.get(new Point2D(to, from));
+					if (!Number.isFinite(weight)) throw new TypeError(`Weight ${weight} is not finite number`);
+					if (weight !== 0) successors.set(indices[to], weight);
+				}
+				adjacency.set(indices[from], successors);
+			}
+			return Graph.importAdjacency(adjacency, name);
+		} catch (error) {
+			throw new TypeError(`Unable to import ${name} due its ${typename(matrix)} type`, { cause: error });
+		}
+	}
+	/**
+	 * Lists the weights between the vertices taken in ascending order of their indices, zero meaning no edge.
+	 * @returns {Matrix<number>}
+	 */
+	exportMatrix() {
+		const indices = Array.from(this.vertices).sort((a, b) => a - b);
+		/** @type {Matrix<number>} */
+		const matrix = new Matrix(new Point2D(indices.length, indices.length), 0);
+		for (let row = 0; row < indices.length; row++) {
+			for (let column = 0; column < indices.length; column++) {
+				if (!this.hasEdge(indices[row], indices[column])) continue;
+				matrix.set(new Point2D(column, row), this.getWeightOf(indices[row], indices[column]));
+			}
+		}
+		return matrix;
+	}
+	/**
+	 * Builds the graph from the successors of each vertex; lists in which every edge is mirrored give an undirected graph.
+	 * @param {GraphAdjacency} adjacency
+	 * @returns {Graph}
+	 * @throws {TypeError}
+	 */
+	static importAdjacency(adjacency, name = `adjacency`) {
+		try {
+			const result = new Graph();
+			for (const [from, successors] of adjacency) {
+				if (!result.vertices.has(from)) result.addVertex(from);
+				for (const to of successors.keys()) {
+					if (!result.vertices.has(to)) result.addVertex(to);
+				}
+			}
+			result.directed = Array.from(adjacency).some(([from, successors]) => Array.from(successors).some(([to, weight]) => adjacency.get(to)?.get(from) !== weight));
+			for (const [from, successors] of adjacency) {
+				for (const [to, weight] of successors) {
+					if (result.hasEdge(from, to)) continue;
+					result.addEdge(from, to, weight);
+				}
+			}
+			return result;
+		} catch (error) {
+			throw new TypeError(`Unable to import ${name} due its ${typename(adjacency)} type`, { cause: error });
+		}
+	}
+	/**
+	 * Maps every vertex to its successors with the weights of the edges; undirected edges are listed at both ends.
+	 * @returns {GraphAdjacency}
+	 */
+	exportAdjacency() {
+		/** @type {GraphAdjacency} */
+		const adjacency = new Map();
+		for (const from of this.vertices) {
+			adjacency.set(from, new Map(Array.from(this.getSuccessorsOf(from), to => [to, this.getWeightOf(from, to)])));
+		}
+		return adjacency;
+	}
 
 	//#region Vertex
 	static Vertex = class GraphVertex {
 		/**
-		 * @param {GraphVertex} vertex1 
-		 * @param {GraphVertex} vertex2 
+		 * @param {GraphVertex} from 
+		 * @param {GraphVertex} to 
+		 * @param {number} weight 
+		 * @returns {void}
+		 * @throws {EvalError}
+		 */
+		static connect(from, to, weight = 1) {
+			if (from.#successors.has(to) || to.#predecessors.has(from)) throw new EvalError(`Connection already exists`);
+			from.#successors.set(to, weight);
+			to.#predecessors.add(from);
+		}
+		/**
+		 * @param {GraphVertex} from 
+		 * @param {GraphVertex} to 
+		 * @param {number} weight 
 		 * @returns {void}
 		 * @throws {EvalError}
 		 */
-		static connect(vertex1, vertex2) {
-			if (vertex1.#neighbors.has(vertex2) || vertex2.#neighbors.has(vertex1)) throw new EvalError(`Connection already exists`);
-			vertex1.#neighbors.add(vertex2);
-			vertex2.#neighbors.add(vertex1);
+		static reweight(from, to, weight) {
+			if (!from.#successors.has(to) || !to.#predecessors.has(from)) throw new EvalError(`Connection doesn't exists`);
+			from.#successors.set(to, weight);
 		}
 		/**
-		 * @param {GraphVertex} vertex1 
-		 * @param {GraphVertex} vertex2 
+		 * @param {GraphVertex} from 
+		 * @param {GraphVertex} to 
 		 * @returns {void}
 		 * @throws {EvalError}
 		 */
-		static disconnect(vertex1, vertex2) {
-			if (!vertex1.#neighbors.has(vertex2) || !vertex2.#neighbors.has(vertex1)) throw new EvalError(`Connection doesn't exists`);
-			vertex1.#neighbors.delete(vertex2);
-			vertex2.#neighbors.delete(vertex1);
+		static disconnect(from, to) {
+			if (!from.#successors.has(to) || !to.#predecessors.has(from)) throw new EvalError(`Connection doesn't exists`);
+			from.#successors.delete(to);
+			to.#predecessors.delete(from);
+		}
+		/** @type {Readonly<VertexAttributes>} */
+		#attributes = Object.freeze({});
+		/**
+		 * @returns {Readonly<VertexAttributes>}
+		 */
+		get attributes() {
+			return this.#attributes;
+		}
+		/**
+		 * @param {VertexAttributes} value 
+		 * @returns {void}
+		 */
+		set attributes(value) {
+			this.#attributes = Object.freeze({ ...value });
+		}
+		/** @type {Map<GraphVertex, number>} */
+		#successors = new Map();
+		/**
+		 * @readonly
+		 * @returns {Set<GraphVertex>}
+		 */
+		get successors() {
+			return new Set(this.#successors.keys());
 		}
 		/** @type {Set<GraphVertex>} */
-		#neighbors = new Set();
+		#predecessors = new Set();
+		/**
+		 * @readonly
+		 * @returns {Set<GraphVertex>}
+		 */
+		get predecessors() {
+			return this.#predecessors;
+		}
 		/**
 		 * @readonly
 		 * @returns {Set<GraphVertex>}
 		 */
 		get neighbors() {
-			return this.#neighbors;
+			return new Set([...this.#successors.keys(), ...this.#predecessors]);
 		}
 		/**
 		 * @readonly
 		 * @returns {number}
 		 */
 		get degree() {
-			return this.#neighbors.size;
+			return this.neighbors.size;
+		}
+		/**
+		 * @readonly
+		 * @returns {number}
+		 */
+		get outdegree() {
+			return this.#successors.size;
+		}
+		/**
+		 * @readonly
+		 * @returns {number}
+		 */
+		get indegree() {
+			return this.#predecessors.size;
 		}
 		/**
 		 * @param {GraphVertex} vertex 
 		 * @returns {boolean}
 		 */
 		isNeighbor(vertex) {
-			return this.#neighbors.has(vertex);
+			return this.#successors.has(vertex) || this.#predecessors.has(vertex);
+		}
+		/**
+		 * @param {GraphVertex} vertex 
+		 * @returns {boolean}
+		 */
+		isSuccessor(vertex) {
+			return this.#successors.has(vertex);
+		}
+		/**
+		 * @param {GraphVertex} vertex 
+		 * @returns {number}
+		 * @throws {EvalError}
+		 */
+		getWeightTo(vertex) {
+			const weight = this.#successors.get(vertex);
+			if (weight === undefined) throw new EvalError(`Connection doesn't exists`);
+			return weight;
 		}
 	};
 	//#endregion
@@ -126,13 +413,7 @@ class Graph {
 		 * @throws {EvalError}
 		 */
 		static getBiconnectedComponents(graph) {
-			const dfs = new GraphDFS();
-			for (const [, vertex] of graph.#vertices) {
-				if (dfs.#visits.ask(vertex) === null) {
-					dfs.#walkDepthFirstExtended(vertex);
-				}
-				dfs.#paths.push(dfs.#stack.clear());
-			}
+			const dfs = GraphDFS.#walkGraphExtended(graph);
 			return dfs.#paths
 				.filter(path => path.length > 0)
 				.map(path => graph.getSubgraphWith(new Set(path
@@ -140,6 +421,131 @@ class Graph {
 					.map(vertex => graph.#getIndex(vertex))
 				)));
 		}
+		/**
+		 * @param {Graph} graph 
+		 * @returns {GraphTraceEvent[]}
+		 * @throws {EvalError}
+		 */
+		static traceBiconnectedComponents(graph) {
+			const dfs = GraphDFS.#walkGraphExtended(graph, true);
+			return dfs.#trace ?? [];
+		}
+		/**
+		 * @param {Graph} graph 
+		 * @returns {Set<number>}
+		 * @throws {EvalError}
+		 */
+		static getArticulationPoints(graph) {
+			const dfs = GraphDFS.#walkGraphExtended(graph);
+			return new Set(Array.from(dfs.#articulations, vertex => graph.#getIndex(vertex)));
+		}
+		/**
+		 * @param {Graph} graph 
+		 * @returns {[number, number][]}
+		 * @throws {EvalError}
+		 */
+		static getBridges(graph) {
+			const dfs = GraphDFS.#walkGraphExtended(graph);
+			return dfs.#bridges.map(([from, to]) => [graph.#getIndex(from), graph.#getIndex(to)]);
+		}
+		/**
+		 * @param {Graph} graph 
+		 * @param {StrongComponentsAlgorithm} algorithm 
+		 * @returns {Graph[]}
+		 * @throws {TypeError}
+		 * @throws {EvalError}
+		 */
+		static getStronglyConnectedComponents(graph, algorithm = `tarjan`) {
+			return GraphDFS.#getStrongGroups(graph, algorithm)
+				.map(group => graph.getSubgraphWith(new Set(group
+					.map(vertex => graph.#getIndex(vertex))
+				)));
+		}
+		/**
+		 * @param {Graph} graph 
+		 * @param {StrongComponentsAlgorithm} algorithm 
+		 * @returns {Graph}
+		 * @throws {TypeError}
+		 * @throws {EvalError}
+		 */
+		static getCondensation(graph, algorithm = `tarjan`) {
+			const groups = GraphDFS.#getStrongGroups(graph, algorithm);
+			const condensation = new Graph();
+			condensation.directed = true;
+			/** @type {StrictMap<GraphVertex, number>} */
+			const owners = new StrictMap();
+			for (let index = 0; index < groups.length; index++) {
+				condensation.addVertex(index);
+				for (const vertex of groups[index]) {
+					owners.set(vertex, index);
+				}
+			}
+			for (const [vertex, from] of owners) {
+				for (const successor of vertex.successors) {
+					const to = owners.get(successor);
+					if (from === to || condensation.hasEdge(from, to)) continue;
+					condensation.addEdge(from, to);
+				}
+			}
+			return condensation;
+		}
+		/**
+		 * @param {Graph} graph 
+		 * @param {StrongComponentsAlgorithm} algorithm 
+		 * @returns {GraphVertex[][]}
+		 * @throws {TypeError}
+		 */
+		static #getStrongGroups(graph, algorithm) {
+			switch (algorithm) {
+				case `tarjan`: {
+					const dfs = new GraphDFS();
+					for (const [, vertex] of graph.#vertices) {
+						if (dfs.#visits.ask(vertex) === null) {
+							dfs.#walkStronglyTarjan(vertex);
+						}
+					}
+					return dfs.#groups;
+				}
+				case `kosaraju`: {
+					const dfsForward = new GraphDFS();
+					for (const [, vertex] of graph.#vertices) {
+						if (dfsForward.#visits.ask(vertex) === null) {
+							dfsForward.#walkFinishing(vertex);
+						}
+					}
+					const dfsBackward = new GraphDFS();
+					for (const vertex of dfsForward.#finishes.reverse()) {
+						if (dfsBackward.#visits.ask(vertex) === null) {
+							/** @type {GraphVertex[]} */
+							const group = [];
+							dfsBackward.#walkBackward(vertex, group);
+							dfsBackward.#groups.push(group);
+						}
+					}
+					return dfsBackward.#groups;
+				}
+				default: throw new TypeError(`Invalid strongly connected components algorithm '${algorithm}'`);
+			}
+		}
+		/**
+		 * @param {Graph} graph 
+		 * @param {boolean} traced 
+		 * @returns {GraphDFS}
+		 */
+		static #walkGraphExtended(graph, traced = false) {
+			const dfs = new GraphDFS();
+			dfs.#graph = graph;
+			if (traced) dfs.#trace = [];
+			for (const [, vertex] of graph.#vertices) {
+				if (dfs.#visits.ask(vertex) === null) {
+					dfs.#walkDepthFirstExtended(vertex);
+				}
+				const path = dfs.#stack.clear();
+				if (path.length > 0) dfs.#record(() => ({ type: `pop-component`, edges: path.map(edge => dfs.#indexEdge(edge)) }));
+				dfs.#paths.push(path);
+			}
+			return dfs;
+		}
 		/**
 		 * @param {Graph} graph
 		 * @returns {[number, number][]}
@@ -170,6 +576,59 @@ class Graph {
 		#visits = new StrictMap();
 		/** @type {StrictMap<GraphVertex, GraphVertex>} */
 		#parent = new StrictMap();
+		/** @type {Set<GraphVertex>} */
+		#articulations = new Set();
+		/** @type {GraphEdge[]} */
+		#bridges = [];
+		/** @type {Stack<GraphVertex>} */
+		#members = new Stack();
+		/** @type {Set<GraphVertex>} */
+		#stacked = new Set();
+		/** @type {GraphVertex[][]} */
+		#groups = [];
+		/** @type {GraphVertex[]} */
+		#finishes = [];
+		/** @type {Graph?} */
+		#graph = null;
+		/** @type {GraphTraceEvent[]?} */
+		#trace = null;
+		/**
+		 * @param {() => GraphTraceEvent} factory 
+		 * @returns {void}
+		 */
+		#record(factory) {
+			if (this.#trace === null) return;
+			this.#trace.push(factory());
+		}
+		/**
+		 * @param {GraphEdge} edge 
+		 * @returns {[number, number]}
+		 * @throws {ReferenceError}
+		 */
+		#indexEdge([from, to]) {
+			if (this.#graph === null) throw new ReferenceError(`Graph of the walk is missing`);
+			return [this.#graph.#getIndex(from), this.#graph.#getIndex(to)];
+		}
+		/**
+		 * @param {GraphVertex} vertex 
+		 * @returns {number}
+		 * @throws {ReferenceError}
+		 */
+		#indexVertex(vertex) {
+			if (this.#graph === null) throw new ReferenceError(`Graph of the walk is missing`);
+			return this.#graph.#getIndex(vertex);
+		}
+		/**
+		 * Tells whether the neighbor is the parent reached back over the tree edge itself.
+		 * Arcs joining two vertices both ways are parallel edges of the underlying undirected graph, so the reverse one is a back edge.
+		 * @param {GraphVertex} vertex 
+		 * @param {GraphVertex} neighbor 
+		 * @returns {boolean}
+		 */
+		#isParentEdge(vertex, neighbor) {
+			if (neighbor !== this.#parent.ask(vertex)) return false;
+			return !(this.#graph?.directed && vertex.successors.has(neighbor) && vertex.predecessors.has(neighbor));
+		}
 		/**
 		 * @param {GraphVertex} vertex 
 		 * @returns {void}
@@ -178,6 +637,7 @@ class Graph {
 			++this.#time;
 			this.#lowlinks.set(vertex, this.#time);
 			this.#visits.set(vertex, this.#time);
+			this.#record(() => ({ type: `visit`, vertex: this.#indexVertex(vertex), visit: this.#time, lowlink: this.#time }));
 			let children = 0;
 
 			for (const neighbor of vertex.neighbors) {
@@ -185,11 +645,19 @@ class Graph {
 					++children;
 					this.#parent.set(neighbor, vertex);
 					this.#stack.push([vertex, neighbor]);
+					this.#record(() => ({ type: `push-edge`, edge: this.#indexEdge([vertex, neighbor]), kind: `tree` }));
 
 					this.#walkDepthFirstExtended(neighbor);
 
 					if (this.#lowlinks.get(vertex) > this.#lowlinks.get(neighbor)) {
 						this.#lowlinks.set(vertex, this.#lowlinks.get(neighbor));
+						this.#record(() => ({ type: `update-lowlink`, vertex: this.#indexVertex(vertex), lowlink: this.#lowlinks.get(vertex) }));
+					}
+					if (this.#lowlinks.get(neighbor) > this.#visits.get(vertex)) {
+						this.#bridges.push([vertex, neighbor]);
+					}
+					if ((this.#parent.ask(vertex) === null && children > 1) || (this.#parent.ask(vertex) !== null && this.#lowlinks.get(neighbor) >= this.#visits.get(vertex))) {
+						this.#articulations.add(vertex);
 					}
 					if ((this.#visits.get(vertex) === 1 && children > 1) || (this.#visits.get(vertex) > 1 && this.#lowlinks.get(neighbor) >= this.#visits.get(vertex))) {
 						/** @type {GraphEdge[]} */
@@ -199,13 +667,16 @@ class Graph {
 							path.push(this.#stack.pop());
 							if (edge[0] === vertex && edge[1] === neighbor) break;
 						}
+						this.#record(() => ({ type: `pop-component`, edges: path.map(edge => this.#indexEdge(edge)) }));
 						this.#paths.push(path);
 					}
-				} else if (neighbor !== this.#parent.ask(vertex) && this.#visits.get(neighbor) < this.#visits.get(vertex)) {
+				} else if (!this.#isParentEdge(vertex, neighbor) && this.#visits.get(neighbor) < this.#visits.get(vertex)) {
 					if (this.#lowlinks.get(vertex) > this.#visits.get(neighbor)) {
 						this.#lowlinks.set(vertex, this.#visits.get(neighbor));
+						this.#record(() => ({ type: `update-lowlink`, vertex: this.#indexVertex(vertex), lowlink: this.#lowlinks.get(vertex) }));
 					}
 					this.#stack.push([vertex, neighbor]);
+					this.#record(() => ({ type: `push-edge`, edge: this.#indexEdge([vertex, neighbor]), kind: `back` }));
 				}
 			}
 		}
@@ -229,11 +700,543 @@ class Graph {
 				}
 			}
 		}
+		/**
+		 * @param {GraphVertex} vertex 
+		 * @returns {void}
+		 */
+		#walkStronglyTarjan(vertex) {
+			++this.#time;
+			this.#lowlinks.set(vertex, this.#time);
+			this.#visits.set(vertex, this.#time);
+			this.#members.push(vertex);
+			this.#stacked.add(vertex);
+
+			for (const successor of vertex.successors) {
+				if (this.#visits.ask(successor) === null) {
+					this.#walkStronglyTarjan(successor);
+					if (this.#lowlinks.get(vertex) > this.#lowlinks.get(successor)) {
+						this.#lowlinks.set(vertex, this.#lowlinks.get(successor));
+					}
+				} else if (this.#stacked.has(successor)) {
+					if (this.#lowlinks.get(vertex) > this.#visits.get(successor)) {
+						this.#lowlinks.set(vertex, this.#visits.get(successor));
+					}
+				}
+			}
+
+			if (this.#lowlinks.get(vertex) === this.#visits.get(vertex)) {
+				/** @type {GraphVertex[]} */
+				const group = [];
+				while (true) {
+					const member = this.#members.pop();
+					this.#stacked.delete(member);
+					group.push(member);
+					if (member === vertex) break;
+				}
+				this.#groups.push(group);
+			}
+		}
+		/**
+		 * @param {GraphVertex} vertex 
+		 * @returns {void}
+		 */
+		#walkFinishing(vertex) {
+			++this.#time;
+			this.#visits.set(vertex, this.#time);
+			for (const successor of vertex.successors) {
+				if (this.#visits.ask(successor) === null) {
+					this.#walkFinishing(successor);
+				}
+			}
+			this.#finishes.push(vertex);
+		}
+		/**
+		 * @param {GraphVertex} vertex 
+		 * @param {GraphVertex[]} group 
+		 * @returns {void}
+		 */
+		#walkBackward(vertex, group) {
+			++this.#time;
+			this.#visits.set(vertex, this.#time);
+			group.push(vertex);
+			for (const predecessor of vertex.predecessors) {
+				if (this.#visits.ask(predecessor) === null) {
+					this.#walkBackward(predecessor, group);
+				}
+			}
+		}
 	};
 	//#endregion
-
-	/** @type {StrictMap<number, GraphVertex>} */
-	#vertices = new StrictMap();
+	//#region Paths
+	static Paths = class GraphPaths {
+		/**
+		 * @param {Graph} graph 
+		 * @param {number} source 
+		 * @returns {GraphPaths}
+		 * @throws {EvalError}
+		 */
+		static viaBreadthFirst(graph, source) {
+			const paths = new GraphPaths(graph, source);
+			/** @type {Queue<GraphVertex>} */
+			const queue = new Queue(graph.#getVertex(source));
+			while (queue.size > 0) {
+				const vertex = queue.shift();
+				const distance = paths.#distances.get(vertex);
+				for (const successor of vertex.successors) {
+					if (paths.#distances.has(successor)) continue;
+					paths.#distances.set(successor, distance + 1);
+					paths.#previous.set(successor, vertex);
+					queue.push(successor);
+				}
+			}
+			return paths;
+		}
+		/**
+		 * @param {Graph} graph 
+		 * @param {number} source 
+		 * @returns {GraphPaths}
+		 * @throws {EvalError}
+		 * @throws {RangeError}
+		 */
+		static viaDijkstra(graph, source) {
+			return GraphPaths.#searchBestFirst(graph, source, null, () => 0);
+		}
+		/**
+		 * @param {Graph} graph 
+		 * @param {number} source 
+		 * @param {number} target 
+		 * @param {(index: number) => number} heuristic Estimated distance from the vertex to the target. Must never overestimate.
+		 * @returns {GraphPaths}
+		 * @throws {EvalError}
+		 * @throws {RangeError}
+		 */
+		static viaAStar(graph, source, target, heuristic) {
+			return GraphPaths.#searchBestFirst(graph, source, graph.#getVertex(target), vertex => heuristic(graph.#getIndex(vertex)));
+		}
+		/**
+		 * @param {Graph} graph 
+		 * @param {number} source 
+		 * @returns {GraphPaths}
+		 * @throws {EvalError}
+		 */
+		static viaBellmanFord(graph, source) {
+			const paths = new GraphPaths(graph, source);
+			/** @type {[GraphVertex, GraphVertex, number][]} */
+			const arcs = [];
+			for (const [, vertex] of graph.#vertices) {
+				for (const successor of vertex.successors) {
+					arcs.push([vertex, successor, vertex.getWeightTo(successor)]);
+				}
+			}
+			for (let iteration = 1; iteration < graph.#vertices.size; iteration++) {
+				let changed = false;
+				for (const [from, to, weight] of arcs) {
+					if (paths.#relax(from, to, weight)) changed = true;
+				}
+				if (!changed) break;
+			}
+			for (const [from, to, weight] of arcs) {
+				if (paths.#relax(from, to, weight)) throw new EvalError(`Graph contains a negative cycle reachable from ${source}`);
+			}
+			return paths;
+		}
+		/**
+		 * @param {Graph} graph 
+		 * @param {number} source 
+		 * @param {GraphVertex?} target 
+		 * @param {(vertex: GraphVertex) => number} heuristic 
+		 * @returns {GraphPaths}
+		 * @throws {EvalError}
+		 * @throws {RangeError}
+		 */
+		static #searchBestFirst(graph, source, target, heuristic) {
+			const paths = new GraphPaths(graph, source);
+			/** @type {Set<GraphVertex>} */
+			const settled = new Set();
+			/** @type {PriorityQueue<GraphVertex>} */
+			const queue = new PriorityQueue();
+			const vertexSource = graph.#getVertex(source);
+			queue.push(vertexSource, heuristic(vertexSource));
+			while (queue.size > 0) {
+				const vertex = queue.shift();
+				if (settled.has(vertex)) continue;
+				settled.add(vertex);
+				if (vertex === target) break;
+				for (const successor of vertex.successors) {
+					const weight = vertex.getWeightTo(successor);
+					if (weight < 0) throw new RangeError(`Weight ${weight} between ${graph.#getIndex(vertex)} and ${graph.#getIndex(successor)} is negative`);
+					if (settled.has(successor)) continue;
+					if (paths.#relax(vertex, successor, weight)) {
+						queue.push(successor, paths.#distances.get(successor) + heuristic(successor));
+					}
+				}
+			}
+			return paths;
+		}
+		/**
+		 * @param {Graph} graph 
+		 * @param {number} source 
+		 * @throws {EvalError}
+		 */
+		constructor(graph, source) {
+			this.#graph = graph;
+			this.#distances.set(graph.#getVertex(source), 0);
+		}
+		/** @type {Graph} */
+		#graph;
+		/** @type {StrictMap<GraphVertex, number>} */
+		#distances = new StrictMap();
+		/** @type {StrictMap<GraphVertex, GraphVertex>} */
+		#previous = new StrictMap();
+		/**
+		 * @param {GraphVertex} from 
+		 * @param {GraphVertex} to 
+		 * @param {number} weight 
+		 * @returns {boolean}
+		 */
+		#relax(from, to, weight) {
+			const distanceFrom = this.#distances.ask(from);
+			if (distanceFrom === null) return false;
+			const distanceTo = this.#distances.ask(to);
+			if (distanceTo !== null && distanceTo <= distanceFrom + weight) return false;
+			this.#distances.set(to, distanceFrom + weight);
+			this.#previous.set(to, from);
+			return true;
+		}
+		/**
+		 * @param {number} target 
+		 * @returns {number}
+		 * @throws {EvalError}
+		 */
+		getDistanceTo(target) {
+			return this.#distances.ask(this.#graph.#getVertex(target)) ?? Infinity;
+		}
+		/**
+		 * @param {number} target 
+		 * @returns {number[]}
+		 * @throws {EvalError}
+		 */
+		getPathTo(target) {
+			const graph = this.#graph;
+			let vertex = graph.#getVertex(target);
+			if (!this.#distances.has(vertex)) return [];
+			/** @type {number[]} */
+			const path = [graph.#getIndex(vertex)];
+			for (let previous = this.#previous.ask(vertex); previous !== null; previous = this.#previous.ask(previous)) {
+				path.unshift(graph.#getIndex(previous));
+			}
+			return path;
+		}
+		/**
+		 * @param {number} target 
+		 * @returns {Graph}
+		 * @throws {EvalError}
+		 */
+		getTrailTo(target) {
+			const graph = this.#graph;
+			const path = this.getPathTo(target);
+			const trail = new Graph();
+			trail.#directed = graph.#directed;
+			for (let index = 0; index < path.length; index++) {
+				trail.addVertex(path[index]);
+				if (index < 1) continue;
+				const [from, to] = [path[index - 1], path[index]];
+				trail.addEdge(from, to, graph.getWeightOf(from, to));
+			}
+			return trail;
+		}
+	};
+	//#endregion
+	//#region Spanning forest
+	/**
+	 * @param {Graph} graph 
+	 * @param {SpanningForestOptions} options 
+	 * @returns {SpanningForest}
+	 * @throws {EvalError}
+	 * @throws {TypeError}
+	 */
+	static getMinimumSpanningForest(graph, options = {}) {
+		const { algorithm = `kruskal` } = options;
+		if (graph.#directed) throw new EvalError(`Spanning forest is defined only for undirected graphs`);
+		const forest = new Graph();
+		for (const index of graph.#vertices.keys()) {
+			forest.addVertex(index);
+		}
+		switch (algorithm) {
+			case `kruskal`: Graph.#spanViaKruskal(graph, forest); break;
+			case `prim`: Graph.#spanViaPrim(graph, forest); break;
+			default: throw new TypeError(`Invalid spanning forest algorithm '${algorithm}'`);
+		}
+		const weight = forest.edges.reduce((total, [from, to]) => total + forest.getWeightOf(from, to), 0);
+		return { forest, weight };
+	}
+	/**
+	 * @param {Graph} graph 
+	 * @param {Graph} forest 
+	 * @returns {void}
+	 */
+	static #spanViaKruskal(graph, forest) {
+		/** @type {StrictMap<number, number>} */
+		const parents = new StrictMap();
+		/**
+		 * @param {number} index 
+		 * @returns {number}
+		 */
+		function find(index) {
+			let root = index;
+			while (parents.get(root) !== root) root = parents.get(root);
+			while (parents.get(index) !== root) {
+				const next = parents.get(index);
+				parents.set(index, root);
+				index = next;
+			}
+			return root;
+		}
+		for (const index of graph.#vertices.keys()) {
+			parents.set(index, index);
+		}
+		const edges = graph.edges.sort(([from1, to1], [from2, to2]) => graph.getWeightOf(from1, to1) - graph.getWeightOf(from2, to2));
+		for (const [from, to] of edges) {
+			const [rootFrom, rootTo] = [find(from), find(to)];
+			if (rootFrom === rootTo) continue;
+			parents.set(rootFrom, rootTo);
+			forest.addEdge(from, to, graph.getWeightOf(from, to));
+		}
+	}
+	/**
+	 * @param {Graph} graph 
+	 * @param {Graph} forest 
+	 * @returns {void}
+	 */
+	static #spanViaPrim(graph, forest) {
+		/** @type {Set<GraphVertex>} */
+		const visited = new Set();
+		/** @type {PriorityQueue<GraphEdge>} */
+		const queue = new PriorityQueue();
+		for (const root of graph.#vertices.values()) {
+			if (visited.has(root)) continue;
+			queue.push([root, root], 0);
+			while (queue.size > 0) {
+				const [from, to] = queue.shift();
+				if (visited.has(to)) continue;
+				visited.add(to);
+				if (from !== to) {
+					forest.addEdge(graph.#getIndex(from), graph.#getIndex(to), from.getWeightTo(to));
+				}
+				for (const successor of to.successors) {
+					if (visited.has(successor)) continue;
+					queue.push([to, successor], to.getWeightTo(successor));
+				}
+			}
+		}
+	}
+	//#endregion
+	//#region Coloring
+	/** @type {number} */
+	static #exactColoringLimit = 24;
+	/**
+	 * Colors the vertices so that no edge joins two of the same color, regardless of the orientation.
+	 * The exact algorithm finds the chromatic number, but only for small graphs.
+	 * @param {Graph} graph 
+	 * @param {ColoringOptions} options 
+	 * @returns {VertexColoring}
+	 * @throws {EvalError} If a vertex has a loop.
+	 * @throws {RangeError} If the graph is too large for the exact algorithm.
+	 * @throws {TypeError}
+	 */
+	static getVertexColoring(graph, options = {}) {
+		const { algorithm = `dsatur`, order = `natural` } = options;
+		/** @type {Map<number, Set<number>>} */
+		const adjacency = new Map();
+		for (const index of Array.from(graph.#vertices.keys()).sort((index1, index2) => index1 - index2)) {
+			const neighbors = graph.getNeighborsOf(index);
+			if (neighbors.has(index)) throw new EvalError(`Unable to color vertex ${index} due its loop`);
+			adjacency.set(index, neighbors);
+		}
+		/** @type {Map<number, number>} */
+		let colors;
+		switch (algorithm) {
+			case `greedy`: colors = Graph.#colorViaGreedy(adjacency, order); break;
+			case `dsatur`: colors = Graph.#colorViaDSatur(adjacency); break;
+			case `exact`: {
+				if (adjacency.size > Graph.#exactColoringLimit) throw new RangeError(`Exact coloring is limited to ${Graph.#exactColoringLimit} vertices, but the graph has ${adjacency.size}`);
+				colors = Graph.#colorViaBacktracking(adjacency);
+			} break;
+			default: throw new TypeError(`Invalid coloring algorithm '${algorithm}'`);
+		}
+		return { colors, count: Graph.#countColors(colors) };
+	}
+	/**
+	 * @param {Map<number, number>} colors 
+	 * @returns {number}
+	 */
+	static #countColors(colors) {
+		return new Set(colors.values()).size;
+	}
+	/**
+	 * @param {Map<number, Set<number>>} adjacency 
+	 * @param {Map<number, number>} colors 
+	 * @param {number} index 
+	 * @returns {Set<number>}
+	 */
+	static #getNeighborColors(adjacency, colors, index) {
+		/** @type {Set<number>} */
+		const result = new Set();
+		for (const neighbor of adjacency.get(index) ?? []) {
+			const color = colors.get(neighbor);
+			if (color !== undefined) result.add(color);
+		}
+		return result;
+	}
+	/**
+	 * @param {Map<number, Set<number>>} adjacency 
+	 * @param {ColoringOrder} order 
+	 * @returns {Map<number, number>}
+	 * @throws {TypeError}
+	 */
+	static #colorViaGreedy(adjacency, order) {
+		const indices = Array.from(adjacency.keys());
+		switch (order) {
+			case `natural`: break;
+			case `largest-first`: indices.sort((index1, index2) => adjacency.get(index2).size - adjacency.get(index1).size); break;
+			case `smallest-last`: {
+				// Peels off the vertex of the least degree in the rest, so that each one has few colored neighbors when its turn comes.
+				const degrees = new Map(indices.map(index => [index, adjacency.get(index).size]));
+				indices.splice(0, indices.length);
+				while (degrees.size > 0) {
+					let smallest = NaN;
+					for (const [index, degree] of degrees) {
+						if (Number.isNaN(smallest) || degree < degrees.get(smallest)) smallest = index;
+					}
+					degrees.delete(smallest);
+					for (const neighbor of adjacency.get(smallest)) {
+						const degree = degrees.get(neighbor);
+						if (degree !== undefined) degrees.set(neighbor, degree - 1);
+					}
+					indices.unshift(smallest);
+				}
+			} break;
+			default: throw new TypeError(`Invalid coloring order '${order}'`);
+		}
+		/** @type {Map<number, number>} */
+		const colors = new Map();
+		for (const index of indices) {
+			const forbidden = Graph.#getNeighborColors(adjacency, colors, index);
+			let color = 0;
+			while (forbidden.has(color)) color++;
+			colors.set(index, color);
+		}
+		return colors;
+	}
+	/**
+	 * Picks the uncolored vertex with the most distinct colors around, preferring the higher degree, then the lower index.
+	 * @param {Map<number, Set<number>>} adjacency 
+	 * @param {Map<number, number>} colors 
+	 * @returns {number}
+	 */
+	static #pickSaturated(adjacency, colors) {
+		let result = NaN;
+		let saturationBest = -1;
+		let degreeBest = -1;
+		for (const [index, neighbors] of adjacency) {
+			if (colors.has(index)) continue;
+			const saturation = Graph.#getNeighborColors(adjacency, colors, index).size;
+			if (saturation < saturationBest || (saturation === saturationBest && neighbors.size <= degreeBest)) continue;
+			result = index;
+			saturationBest = saturation;
+			degreeBest = neighbors.size;
+		}
+		return result;
+	}
+	/**
+	 * @param {Map<number, Set<number>>} adjacency 
+	 * @returns {Map<number, number>}
+	 */
+	static #colorViaDSatur(adjacency) {
+		/** @type {Map<number, number>} */
+		const colors = new Map();
+		while (colors.size < adjacency.size) {
+			const index = Graph.#pickSaturated(adjacency, colors);
+			const forbidden = Graph.#getNeighborColors(adjacency, colors, index);
+			let color = 0;
+			while (forbidden.has(color)) color++;
+			colors.set(index, color);
+		}
+		return colors;
+	}
+	/**
+	 * Searches for a coloring with fewer colors than the best one known, starting from the DSatur one.
+	 * @param {Map<number, Set<number>>} adjacency 
+	 * @returns {Map<number, number>}
+	 */
+	static #colorViaBacktracking(adjacency) {
+		let best = Graph.#colorViaDSatur(adjacency);
+		let countBest = Graph.#countColors(best);
+		const countLeast = min(countBest, Array.from(adjacency.values()).some(neighbors => neighbors.size > 0) ? 2 : 1);
+		/** @type {Map<number, number>} */
+		const colors = new Map();
+		/**
+		 * @param {number} count 
+		 * @returns {void}
+		 */
+		function search(count) {
+			if (colors.size === adjacency.size) {
+				best = new Map(colors);
+				countBest = count;
+				return;
+			}
+			const index = Graph.#pickSaturated(adjacency, colors);
+			const forbidden = Graph.#getNeighborColors(adjacency, colors, index);
+			// A color beyond the used ones is as good as any other new one, so only the first of them is tried.
+			for (let color = 0; color <= count && max(count, color + 1) < countBest; color++) {
+				if (forbidden.has(color)) continue;
+				colors.set(index, color);
+				search(max(count, color + 1));
+				colors.delete(index);
+				if (countBest <= countLeast) return;
+			}
+		}
+		if (countBest > countLeast) search(0);
+		return best;
+	}
+	//#endregion
+
+	/** @type {boolean} */
+	#directed = false;
+	/**
+	 * @returns {boolean}
+	 */
+	get directed() {
+		return this.#directed;
+	}
+	/**
+	 * @param {boolean} value 
+	 * @returns {void}
+	 * @throws {EvalError}
+	 */
+	set directed(value) {
+		if (this.#directed === value) return;
+		if (this.edges.length > 0) throw new EvalError(`Unable to change orientation of graph with existing edges`);
+		this.#directed = value;
+	}
+	/** @type {number?} */
+	#seed = null;
+	/**
+	 * Gets the seed of the random generator that the graph was built with, if any.
+	 * @returns {number?}
+	 */
+	get seed() {
+		return this.#seed;
+	}
+	/**
+	 * @param {number?} value 
+	 * @returns {void}
+	 */
+	set seed(value) {
+		this.#seed = value;
+	}
+	/** @type {StrictMap<number, GraphVertex>} */
+	#vertices = new StrictMap();
 	/**
 	 * @param {number} index 
 	 * @returns {GraphVertex}
@@ -261,6 +1264,22 @@ class Graph {
 	get vertices() {
 		return Object.freeze(new Set(this.#vertices.keys()));
 	}
+	/**
+	 * @readonly
+	 * @returns {[number, number][]}
+	 */
+	get edges() {
+		/** @type {[number, number][]} */
+		const edges = [];
+		for (const [from, vertex] of this.#vertices) {
+			for (const successor of vertex.successors) {
+				const to = this.#getIndex(successor);
+				if (!this.#directed && from > to) continue;
+				edges.push([from, to]);
+			}
+		}
+		return edges;
+	}
 	/** @type {StrictMap<GraphVertex, number>} */
 	#indices = new StrictMap();
 	/**
@@ -291,27 +1310,64 @@ class Graph {
 	removeVertex(index) {
 		if (!Number.isInteger(index)) throw new TypeError(`Index ${index} is not finite integer number`);
 		const vertex = this.#getVertex(index);
-		for (const neighbor of vertex.neighbors) {
-			Graph.Vertex.disconnect(vertex, neighbor);
+		for (const successor of Array.from(vertex.successors)) {
+			Graph.Vertex.disconnect(vertex, successor);
+		}
+		for (const predecessor of Array.from(vertex.predecessors)) {
+			Graph.Vertex.disconnect(predecessor, vertex);
 		}
 		this.#vertices.delete(index);
 		this.#indices.delete(vertex);
 	}
+	/**
+	 * @param {number} index 
+	 * @returns {Readonly<VertexAttributes>}
+	 * @throws {TypeError}
+	 * @throws {EvalError}
+	 */
+	getAttributesOf(index) {
+		if (!Number.isInteger(index)) throw new TypeError(`Index ${index} is not finite integer number`);
+		return this.#getVertex(index).attributes;
+	}
+	/**
+	 * @param {number} index 
+	 * @param {VertexAttributes} attributes 
+	 * @returns {void}
+	 * @throws {TypeError}
+	 * @throws {EvalError}
+	 */
+	setAttributesOf(index, attributes) {
+		if (!Number.isInteger(index)) throw new TypeError(`Index ${index} is not finite integer number`);
+		for (const coordinate of [attributes.x, attributes.y]) {
+			if (coordinate !== undefined && !Number.isFinite(coordinate)) throw new TypeError(`Coordinate ${coordinate} is not finite number`);
+		}
+		this.#getVertex(index).attributes = attributes;
+	}
+	/**
+	 * @readonly
+	 * @returns {boolean}
+	 */
+	get weighted() {
+		return this.edges.some(([from, to]) => this.getWeightOf(from, to) !== 1);
+	}
 	/**
 	 * @param {number} from
 	 * @param {number} to
+	 * @param {number} weight
 	 * @returns {void}
 	 * @throws {TypeError}
 	 * @throws {EvalError}
 	 */
-	addEdge(from, to) {
+	addEdge(from, to, weight = 1) {
 		if (!Number.isInteger(from)) throw new TypeError(`Index ${from} is not finite integer number`);
 		if (!Number.isInteger(to)) throw new TypeError(`Index ${to} is not finite integer number`);
-		[from, to] = [from, to].sort((a, b) => a - b);
+		if (!Number.isFinite(weight)) throw new TypeError(`Weight ${weight} is not finite number`);
+		if (!this.#directed) [from, to] = [from, to].sort((a, b) => a - b);
 		const vertexFrom = this.#getVertex(from);
 		const vertexTo = this.#getVertex(to);
 		try {
-			Graph.Vertex.connect(vertexFrom, vertexTo);
+			Graph.Vertex.connect(vertexFrom, vertexTo, weight);
+			if (!this.#directed && vertexFrom !== vertexTo) Graph.Vertex.connect(vertexTo, vertexFrom, weight);
 		} catch (error) {
 			throw new EvalError(`Connection between ${from} and ${to} already exists`);
 		}
@@ -326,11 +1382,49 @@ class Graph {
 	removeEdge(from, to) {
 		if (!Number.isInteger(from)) throw new TypeError(`Index ${from} is not finite integer number`);
 		if (!Number.isInteger(to)) throw new TypeError(`Index ${to} is not finite integer number`);
-		[from, to] = [from, to].sort((a, b) => a - b);
+		if (!this.#directed) [from, to] = [from, to].sort((a, b) => a - b);
 		const vertexFrom = this.#getVertex(from);
 		const vertexTo = this.#getVertex(to);
 		try {
 			Graph.Vertex.disconnect(vertexFrom, vertexTo);
+			if (!this.#directed && vertexFrom !== vertexTo) Graph.Vertex.disconnect(vertexTo, vertexFrom);
+		} catch (error) {
+			throw new EvalError(`Connection between ${from} and ${to} doesn't exist`);
+		}
+	}
+	/**
+	 * @param {number} from
+	 * @param {number} to
+	 * @returns {number}
+	 * @throws {TypeError}
+	 * @throws {EvalError}
+	 */
+	getWeightOf(from, to) {
+		if (!Number.isInteger(from)) throw new TypeError(`Index ${from} is not finite integer number`);
+		if (!Number.isInteger(to)) throw new TypeError(`Index ${to} is not finite integer number`);
+		try {
+			return this.#getVertex(from).getWeightTo(this.#getVertex(to));
+		} catch (error) {
+			throw new EvalError(`Connection between ${from} and ${to} doesn't exist`);
+		}
+	}
+	/**
+	 * @param {number} from
+	 * @param {number} to
+	 * @param {number} weight
+	 * @returns {void}
+	 * @throws {TypeError}
+	 * @throws {EvalError}
+	 */
+	setWeightOf(from, to, weight) {
+		if (!Number.isInteger(from)) throw new TypeError(`Index ${from} is not finite integer number`);
+		if (!Number.isInteger(to)) throw new TypeError(`Index ${to} is not finite integer number`);
+		if (!Number.isFinite(weight)) throw new TypeError(`Weight ${weight} is not finite number`);
+		const vertexFrom = this.#getVertex(from);
+		const vertexTo = this.#getVertex(to);
+		try {
+			Graph.Vertex.reweight(vertexFrom, vertexTo, weight);
+			if (!this.#directed && vertexFrom !== vertexTo) Graph.Vertex.reweight(vertexTo, vertexFrom, weight);
 		} catch (error) {
 			throw new EvalError(`Connection between ${from} and ${to} doesn't exist`);
 		}
@@ -343,17 +1437,27 @@ class Graph {
 	 */
 	getSubgraphWith(vertices) {
 		const subgraph = new Graph();
+		subgraph.#directed = this.#directed;
 		const arrayVertices = Array.from(vertices);
 		for (let index = 0; index < arrayVertices.length; index++) {
 			const indexFrom = arrayVertices[index];
 			const vertexFrom = this.#getVertex(indexFrom);
-			if (index === 0) subgraph.addVertex(indexFrom);
+			if (index === 0) {
+				subgraph.addVertex(indexFrom);
+				subgraph.setAttributesOf(indexFrom, vertexFrom.attributes);
+			}
 			for (let index2 = index + 1; index2 < arrayVertices.length; index2++) {
 				const indexTo = arrayVertices[index2];
 				const vertexTo = this.#getVertex(indexTo);
-				if (index === 0) subgraph.addVertex(indexTo);
-				if (vertexFrom.isNeighbor(vertexTo)) {
-					subgraph.addEdge(indexFrom, indexTo);
+				if (index === 0) {
+					subgraph.addVertex(indexTo);
+					subgraph.setAttributesOf(indexTo, vertexTo.attributes);
+				}
+				if (vertexFrom.isSuccessor(vertexTo)) {
+					subgraph.addEdge(indexFrom, indexTo, vertexFrom.getWeightTo(vertexTo));
+				}
+				if (this.#directed && vertexTo.isSuccessor(vertexFrom)) {
+					subgraph.addEdge(indexTo, indexFrom, vertexTo.getWeightTo(vertexFrom));
 				}
 			}
 		}
@@ -374,12 +1478,45 @@ class Graph {
 		};
 		return setNeighbors;
 	}
+	/**
+	 * @param {number} index 
+	 * @returns {Set<number>}
+	 * @throws {TypeError}
+	 * @throws {EvalError}
+	 */
+	getSuccessorsOf(index) {
+		if (!Number.isInteger(index)) throw new TypeError(`Index ${index} is not finite integer number`);
+		return new Set(Array.from(this.#getVertex(index).successors, successor => this.#getIndex(successor)));
+	}
+	/**
+	 * @param {number} index 
+	 * @returns {Set<number>}
+	 * @throws {TypeError}
+	 * @throws {EvalError}
+	 */
+	getPredecessorsOf(index) {
+		if (!Number.isInteger(index)) throw new TypeError(`Index ${index} is not finite integer number`);
+		return new Set(Array.from(this.#getVertex(index).predecessors, predecessor => this.#getIndex(predecessor)));
+	}
+	/**
+	 * @param {number} from 
+	 * @param {number} to 
+	 * @returns {boolean}
+	 * @throws {TypeError}
+	 * @throws {EvalError}
+	 */
+	hasEdge(from, to) {
+		if (!Number.isInteger(from)) throw new TypeError(`Index ${from} is not finite integer number`);
+		if (!Number.isInteger(to)) throw new TypeError(`Index ${to} is not finite integer number`);
+		return this.#getVertex(from).isSuccessor(this.#getVertex(to));
+	}
 }
 //#endregion
 //#region Memory
 /**
  * @typedef MemoryNotation
  * @property {string} valueTextbox
+ * @property {string} [formatTextbox]
  */
 
 class Memory {
@@ -393,6 +1530,9 @@ class Memory {
 			const valueTextbox = String.import(shell[`valueTextbox`], `property valueTextbox`);
 			const result = new Memory();
 			result.#valueTextbox = valueTextbox;
+			if (shell[`formatTextbox`] !== undefined) {
+				result.#formatTextbox = String.import(shell[`formatTextbox`], `property formatTextbox`);
+			}
 			return result;
 		} catch (error) {
 			throw new TypeError(`Unable to import ${(name)} due its ${typename(source)} type`, { cause: error });
@@ -403,7 +1543,8 @@ class Memory {
 	 */
 	export() {
 		return {
-			valueTextbox: this.#valueTextbox
+			valueTextbox: this.#valueTextbox,
+			formatTextbox: this.#formatTextbox
 		};
 	}
 	/** @type {string} */
@@ -421,8 +1562,110 @@ class Memory {
 	set valueTextbox(value) {
 		this.#valueTextbox = value;
 	}
+	/** @type {string} */
+	#formatTextbox = `json`;
+	/**
+	 * @returns {string}
+	 */
+	get formatTextbox() {
+		return this.#formatTextbox;
+	}
+	/**
+	 * @param {string} value 
+	 * @returns {void}
+	 */
+	set formatTextbox(value) {
+		this.#formatTextbox = value;
+	}
+}
+//#endregion
+//#region Drawing
+/**
+ * @typedef DrawingNotation
+ * @property {GraphNotation} graph
+ * @property {number} counter
+ */
+
+class Drawing {
+	/**
+	 * @param {unknown} source 
+	 * @returns {Drawing}
+	 */
+	static import(source, name = `source`) {
+		try {
+			const shell = Object.import(source);
+			const graph = Graph.import(shell[`graph`], `property graph`);
+			// Archives written before the positions moved into the graph notation.
+			if (shell[`positions`] !== undefined) {
+				for (const item of Array.import(shell[`positions`], `property positions`)) {
+					const index = Number.import(item[`index`], `property index`);
+					const x = Number.import(item[`x`], `property x`);
+					const y = Number.import(item[`y`], `property y`);
+					graph.setAttributesOf(index, { ...graph.getAttributesOf(index), x, y });
+				}
+			}
+			const counter = Number.import(shell[`counter`], `property counter`);
+			const result = new Drawing();
+			result.#graph = graph;
+			result.#counter = counter;
+			return result;
+		} catch (error) {
+			throw new TypeError(`Unable to import ${(name)} due its ${typename(source)} type`, { cause: error });
+		}
+	}
+	/**
+	 * @returns {DrawingNotation}
+	 */
+	export() {
+		return {
+			graph: this.#graph.export(),
+			counter: this.#counter
+		};
+	}
+	/** @type {Graph} */
+	#graph = new Graph();
+	/**
+	 * @returns {Graph}
+	 */
+	get graph() {
+		return this.#graph;
+	}
+	/**
+	 * Replaces the graph, keeping the known coordinates of unplaced vertices and the counter ahead of the indices.
+	 * @param {Graph} value 
+	 * @returns {void}
+	 */
+	set graph(value) {
+		const previous = this.#graph;
+		const vertices = value.vertices;
+		for (const index of vertices) {
+			if (!previous.vertices.has(index)) continue;
+			const attributes = value.getAttributesOf(index);
+			if (attributes.x !== undefined && attributes.y !== undefined) continue;
+			const { x, y } = previous.getAttributesOf(index);
+			if (x === undefined || y === undefined) continue;
+			value.setAttributesOf(index, { ...attributes, x, y });
+		}
+		this.#graph = value;
+		this.#counter = Math.max(this.#counter, ...Array.from(vertices, index => index + 1));
+	}
+	/** @type {number} */
+	#counter = 0;
+	/**
+	 * @returns {number}
+	 */
+	get counter() {
+		return this.#counter;
+	}
+	/**
+	 * @param {number} value 
+	 * @returns {void}
+	 */
+	set counter(value) {
+		this.#counter = value;
+	}
 }
 //#endregion
 
-export { Graph, Memory };
+export { Drawing, Graph, Memory };
 
@@ -1,30 +1,207 @@
 /** @typedef {import("../Scripts/Structure.js").MemoryNotation} MemoryNotation */
+/** @typedef {import("../Scripts/Structure.js").DrawingNotation} DrawingNotation */
 
 "use strict";
 
+import { detectFormat, FormatError, formats } from "../Scripts/Formats.js";
 import { ArchiveManager } from "../Scripts/Modules/Storage.js";
-import { Graph, Memory } from "../Scripts/Structure.js";
+import { Drawing, Graph, Memory } from "../Scripts/Structure.js";
+
+const { min } = Math;
 
 /** 
  * @type {ArchiveManager<MemoryNotation, Memory>} 
  */
 const managerTextbox = await ArchiveManager.construct(`${navigator.getDataPath()}.Textbox`, Memory);
+/** 
+ * @type {ArchiveManager<DrawingNotation, Drawing>} 
+ */
+const managerBoard = await ArchiveManager.construct(`${navigator.getDataPath()}.Board`, Drawing);
 
 //#region Definition
 const textareaInputField = await window.ensure(() => document.getElement(HTMLTextAreaElement, `textarea#input-field`));
+const divInputHighlight = await window.ensure(() => document.getElement(HTMLDivElement, `div#input-highlight`));
+const buttonInputDiagnostic = await window.ensure(() => document.getElement(HTMLButtonElement, `button#input-diagnostic`));
+const selectInputFormat = await window.ensure(() => document.getElement(HTMLSelectElement, `select#input-format`));
 const buttonExecuteProgram = await window.ensure(() => document.getElement(HTMLButtonElement, `button#execute-program`));
 //#endregion
+//#region Synchronization
+/**
+ * @param {string} text 
+ * @returns {Graph}
+ * @throws {SyntaxError}
+ * @throws {TypeError}
+ */
+function parseInput(text) {
+	return formats.get(managerTextbox.data.formatTextbox).parse(text);
+}
+
+/**
+ * Switches the selector to the format the text is evidently written in, when the current one fails to read it.
+ * @param {string} text 
+ * @returns {void}
+ */
+function detectInput(text) {
+	try {
+		parseInput(text);
+		return;
+	} catch {
+		const key = detectFormat(text);
+		if (key === null || key === managerTextbox.data.formatTextbox) return;
+		try {
+			formats.get(key).parse(text);
+		} catch {
+			return;
+		}
+		managerTextbox.data.formatTextbox = key;
+		selectInputFormat.value = key;
+	}
+}
+
+/**
+ * Finds the span of the text that a format error points to with its line and column, up to the end of the token there.
+ * @param {string} text 
+ * @param {unknown} error 
+ * @returns {[number, number]?}
+ */
+function locateError(text, error) {
+	if (!(error instanceof FormatError)) return null;
+	const { line, column } = error;
+	let begin = 0;
+	for (let index = 1; index < line; index++) {
+		const breaking = text.indexOf(`\n`, begin);
+		if (breaking < 0) return null;
+		begin = breaking + 1;
+	}
+	begin = min(begin + column - 1, text.length);
+	const [token] = /^(\w+|\S)?/.exec(text.slice(begin)) ?? [``];
+	return [begin, begin + token.length];
+}
+
+/** @type {[number, number]?} */
+let spanDiagnostic = null;
+
+/**
+ * Mirrors the text under the textarea with the span of the error marked, so that it shows in place.
+ * @param {string} text 
+ * @returns {void}
+ */
+function highlightInput(text) {
+	if (spanDiagnostic === null) {
+		divInputHighlight.replaceChildren();
+		return;
+	}
+	const [begin, end] = spanDiagnostic;
+	const mark = document.createElement(`mark`);
+	mark.classList.add(`invalid-background`);
+	// The end of the input has no symbol to mark, so a space stands in for it.
+	mark.textContent = (begin < end ? text.slice(begin, end) : ` `);
+	divInputHighlight.replaceChildren(text.slice(0, begin), mark, `${text.slice(end)}\n`);
+	divInputHighlight.scrollTop = textareaInputField.scrollTop;
+	divInputHighlight.scrollLeft = textareaInputField.scrollLeft;
+}
+
+/**
+ * Marks the textarea as invalid while the text can't be read and highlights the position of the error in it.
+ * @param {string} text 
+ * @returns {void}
+ */
+function diagnoseInput(text) {
+	try {
+		parseInput(text);
+		spanDiagnostic = null;
+		textareaInputField.ariaInvalid = `false`;
+		buttonInputDiagnostic.hidden = true;
+	} catch (error) {
+		spanDiagnostic = locateError(text, error);
+		const blank = String.isEmpty(text.trim());
+		textareaInputField.ariaInvalid = `${!blank}`;
+		buttonInputDiagnostic.textContent = Error.generate(error).message;
+		buttonInputDiagnostic.hidden = blank;
+	}
+	highlightInput(text);
+}
+
+/**
+ * Replaces the Board graph with the typed one and shares it at once, leaving the Board untouched while the text is invalid.
+ * The attributes that a lossy format can't hold are kept from the same vertices on the Board.
+ * @param {string} text 
+ * @returns {void}
+ */
+function synchronizeBoard(text) {
+	/** @type {Graph} */
+	let graph;
+	try {
+		graph = parseInput(text);
+	} catch {
+		return;
+	}
+	const previous = managerBoard.data.graph;
+	if (!formats.get(managerTextbox.data.formatTextbox).lossless) {
+		for (const index of graph.vertices) {
+			if (!previous.vertices.has(index)) continue;
+			graph.setAttributesOf(index, { ...previous.getAttributesOf(index), ...graph.getAttributesOf(index) });
+		}
+	}
+	// Only the JSON notation holds the seed.
+	if (graph.seed === null) graph.seed = previous.seed;
+	managerBoard.data.graph = graph;
+	managerBoard.save();
+}
+//#endregion
 //#region Interface
 await window.load(Promise.fulfill(() => {
 	//#region Input
+	for (const [key, format] of formats) {
+		selectInputFormat.add(new Option(format.name, key));
+	}
 	textareaInputField.value = managerTextbox.data.valueTextbox;
+	selectInputFormat.value = managerTextbox.data.formatTextbox;
+	diagnoseInput(textareaInputField.value);
+	managerTextbox.addEventListener(`change`, (event) => {
+		textareaInputField.value = managerTextbox.data.valueTextbox;
+		selectInputFormat.value = managerTextbox.data.formatTextbox;
+		diagnoseInput(textareaInputField.value);
+	});
+	textareaInputField.addEventListener(`input`, (event) => {
+		detectInput(textareaInputField.value);
+		diagnoseInput(textareaInputField.value);
+	});
+	textareaInputField.addEventListener(`scroll`, (event) => {
+		divInputHighlight.scrollTop = textareaInputField.scrollTop;
+		divInputHighlight.scrollLeft = textareaInputField.scrollLeft;
+	});
+	buttonInputDiagnostic.addEventListener(`click`, (event) => {
+		if (spanDiagnostic === null) return;
+		const [begin, end] = spanDiagnostic;
+		textareaInputField.focus();
+		textareaInputField.setSelectionRange(begin, end);
+	});
 	textareaInputField.addEventListener(`change`, (event) => {
 		managerTextbox.data.valueTextbox = textareaInputField.value;
+		managerTextbox.save();
+		synchronizeBoard(textareaInputField.value);
 	});
+	selectInputFormat.addEventListener(`change`, async (event) => await window.ensure(async () => {
+		/** @type {Graph} */
+		let graph;
+		try {
+			graph = parseInput(textareaInputField.value);
+		} catch (error) {
+			selectInputFormat.value = managerTextbox.data.formatTextbox;
+			await window.warn(`Unable to convert the input until it is valid: ${Error.generate(error).message}`);
+			return;
+		}
+		managerTextbox.data.formatTextbox = selectInputFormat.value;
+		textareaInputField.value = formats.get(selectInputFormat.value).stringify(graph);
+		managerTextbox.data.valueTextbox = textareaInputField.value;
+		managerTextbox.save();
+		diagnoseInput(textareaInputField.value);
+	}));
 	//#endregion
 	//#region Execution
 	buttonExecuteProgram.addEventListener(`click`, async (event) => await window.ensure(async () => {
-		const graph = Graph.import(JSON.parse(textareaInputField.value));
+		const graph = parseInput(textareaInputField.value);
 		const subgraphs = Graph.DFS.getBiconnectedComponents(graph);
 		await window.alertAsync(subgraphs.map(subgraph => JSON.stringify(subgraph.export(), undefined, `    `)).join(`\n\n`));
 	}));